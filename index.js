@@ -1,82 +1,426 @@
 'use strict';
-var request = require('request');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
 var url = require('url');
+var crypto = require('crypto');
+var querystring = require('querystring');
 var _ = require('lodash');
-var pg = require('pg');
+var errors = require('./lib/errors');
+var MemoryQueue = require('./lib/queue/memory');
+var FileQueue = require('./lib/queue/file');
+var QueueWorker = require('./lib/queue/worker');
+var RetryPolicy = require('./lib/retry');
+var CircuitBreaker = require('./lib/circuit-breaker');
+var filterResult = require('./lib/filter-result');
+var mapLimit = require('./lib/map-limit');
+var LRUCache = require('./lib/lru-cache');
+var LocalFilter = require('./lib/local-filter');
+var Metrics = require('./lib/metrics');
+var validation = require('./lib/validation');
+var config = require('./lib/config');
+var ContentItem = require('./lib/content-item');
+var NotificationReceiver = require('./lib/notification-receiver');
+var FakeServer = require('./lib/fake-server');
+var filterMiddleware = require('./lib/filter-middleware');
+var username = require('./lib/username');
+var FilterStream = require('./lib/filter-stream');
+var HttpTransport = require('./lib/transport/http');
+var RecordingTransport = require('./lib/transport/recording');
+var ReplayTransport = require('./lib/transport/replay');
+var resources = require('./lib/resources');
+var Pager = require('./lib/pager');
+var ApiNotificationServers = require('./lib/notification-servers/api');
+var PostgresNotificationServers = require('./lib/notification-servers/postgres');
+
+// Options every public method accepts, which apply to the call rather than being passed to the method.
+var CALL_OPTIONS = ['timeout', 'signal'];
+
+// Methods that can be queued, and whether a job that may have reached the server can be sent again. Each flag is a new
+// record, so a flag is only resent when it was never sent at all.
+var QUEUED_METHODS = {
+  moderate: true,
+  flagContent: false,
+  deleteContent: true,
+  addUser: true
+};
+
+// Actions that can be taken against a user. Warnings take effect once; bans and mutes last until they expire or are
+// removed.
+var USER_ACTIONS = ['ban', 'mute', 'warn'];
 
 /*
- * Constructor, takes configuration from either passed-in variables or the environment.
+ * Constructor, takes configuration from either passed-in variables or the environment. Each setting marked (env)
+ * falls back to a CLEANSPEAK_* environment variable: CLEANSPEAK_HOST, CLEANSPEAK_AUTH_TOKEN, CLEANSPEAK_DATABASE_URL,
+ * CLEANSPEAK_NOTIFICATION_HOST, CLEANSPEAK_NOTIFICATION_USERNAME, CLEANSPEAK_NOTIFICATION_PASSWORD and
+ * CLEANSPEAK_ENABLED. The settings are checked here, and a ConfigurationError listing every missing or invalid one is
+ * thrown. The resolved settings are available, frozen, as client.config.
  *
- * @param {string} opts.host                    Hostname for Cleanspeak server, including port
- * @param {string} opts.authToken               Auth token for Cleanspeak server (optional)
- * @param {string} opts.notificationHost        Hostname for the notification server. Used for accepting/rejecting moderation.
- * @param {string} opts.notificationUsername    Username for the notification server.
- * @param {string} opts.notificationPassword    Password for the notification server.
+ * The client is an EventEmitter. Every request to CleanSpeak emits 'request', then 'response' if it succeeded or
+ * 'error' if it failed, and 'retry' before it is sent again. Each event has a single object with:
+ *   operation          Client method that sent the request, such as 'filter'
+ *   method, uri        HTTP method and URI
+ *   headers            Request headers, with the auth token redacted
+ *   attempt            1 for the first attempt, 2 for the first retry and so on
+ *   statusCode         Response status ('response', and 'error' if CleanSpeak replied)
+ *   latency            Milliseconds since the request was sent ('response' and 'error')
+ *   error              CleanSpeakError ('error' and 'retry')
+ *   delay              Milliseconds before the next attempt ('retry')
+ * 'error' is only emitted if there is a listener, so failed requests never throw.
+ *
+ * @param {string} opts.host                    URL of the Cleanspeak server, including port (env). Required unless
+ *                                                enabled is false.
+ * @param {string} opts.authToken               Auth token for Cleanspeak server (env, optional)
+ * @param {string} opts.notificationHost        URL of the notification server. Used for accepting/rejecting
+ *                                                moderation. (env)
+ * @param {string} opts.notificationUsername    Username for the notification server. (env, set with the password)
+ * @param {string} opts.notificationPassword    Password for the notification server. (env, set with the username)
  * @param {string} opts.enabled                 Set to false to bypass all CleanSpeak methods (development mode).
+ *                                                (env: true or false)
+ * @param {object} opts.queue                   Queue adapter (MemoryQueue, FileQueue or compatible). If set, moderate,
+ *                                                flagContent, deleteContent and addUser are queued instead of sent, and
+ *                                                a QueueWorker sends them to the server.
+ * @param {number} opts.timeout                 Milliseconds to wait for each request before it fails with a
+ *                                                TimeoutError (optional, no timeout by default).
+ * @param {bool} opts.fallbackOnTimeout         Set to true to have filter() return the same result as when enabled
+ *                                                is false, instead of a TimeoutError, when it runs out of time.
+ * @param {bool} opts.keepAlive                 Reuse connections between requests (optional).
+ * @param {object} opts.agent                   http.Agent or https.Agent for requests, for example one with client
+ *                                                certificates (optional).
+ * @param {object} opts.transport               Transport that sends requests instead of the default HttpTransport,
+ *                                                see lib/transport/http.js (optional).
+ * @param {object} opts.retry                   Retry policy for failed requests, see lib/retry.js. Requests are not
+ *                                                retried by default.
+ * @param {object} opts.circuitBreaker          Circuit breaker settings, see lib/circuit-breaker.js (optional).
+ * @param {object} opts.cache                   Cache store for filter results (LRUCache or compatible), or true for an
+ *                                                LRUCache with default settings (optional).
+ * @param {object} opts.metrics                 Metrics collector, or true for one with default settings (optional).
+ *                                                See lib/metrics.js.
+ * @param {object} opts.localFilter             LocalFilter, or options for one, used by filter() while enabled is false
+ *                                                and, if its fallback option is set, when a filter request fails
+ *                                                (optional).
+ * @param {object} opts.notificationServers     Adapter used to manage notification servers (optional). Defaults to
+ *                                                CleanSpeak's notification server API; 'postgres' selects the legacy
+ *                                                adapter, which writes to CleanSpeak's database at opts.databaseUrl.
+ * @param {string} opts.databaseUrl             Connection string for CleanSpeak's database, only used by the
+ *                                                'postgres' adapter. (env)
  */
 function CleanSpeak(opts) {
-  this.host = opts.host;
-  this.authToken = opts.authToken;
-  // TODO these four options are only used for createApplication, maybe move them there?
-  this.databaseUrl = opts.databaseUrl;
-  this.notificationHost = opts.notificationHost;
-  this.notificationUsername = opts.notificationUsername;
-  this.notificationPassword = opts.notificationPassword;
-  this.enabled = typeof opts.enabled !== 'undefined' ? opts.enabled : true;
+  EventEmitter.call(this);
+  opts = opts || {};
+
+  this.config = config.resolve(opts, process.env);
+  this.host = this.config.host;
+  this.authToken = this.config.authToken;
+  this.databaseUrl = this.config.databaseUrl;
+  this.notificationHost = this.config.notificationHost;
+  this.notificationUsername = this.config.notificationUsername;
+  this.notificationPassword = this.config.notificationPassword;
+  this.enabled = this.config.enabled;
+  this.queue = opts.queue;
+  this.timeout = this.config.timeout;
+  this.fallbackOnTimeout = !!opts.fallbackOnTimeout;
+  this.transport = opts.transport || new HttpTransport({keepAlive: opts.keepAlive, agent: opts.agent});
+  this.retryPolicy = new RetryPolicy(opts.retry);
+  this.circuitBreaker = opts.circuitBreaker ? new CircuitBreaker(opts.circuitBreaker) : null;
+  this.cache = opts.cache === true ? new LRUCache() : opts.cache;
+  this.cacheStats = {hits: 0, misses: 0};
+  this.localFilter = opts.localFilter && !(opts.localFilter instanceof LocalFilter) ?
+    new LocalFilter(opts.localFilter) : opts.localFilter;
+  this.metrics = opts.metrics === true ? new Metrics() : opts.metrics;
+  if (this.metrics) this.metrics.observe(this);
+
+  if (opts.notificationServers === 'postgres') {
+    this.notificationServers = new PostgresNotificationServers({databaseUrl: this.databaseUrl, pg: opts.pg});
+  } else {
+    this.notificationServers = opts.notificationServers || new ApiNotificationServers(this);
+  }
+}
+util.inherits(CleanSpeak, EventEmitter);
+
+/*
+ * Wraps a public method that takes (..., opts, callback). The opts argument may be omitted, and when no callback is
+ * passed the method returns a Promise instead.
+ *
+ * Every public method also accepts opts.timeout, milliseconds the whole call may take including retries, and
+ * opts.signal, an AbortSignal that cancels it. Calls that run out of time fail with a TimeoutError, and cancelled
+ * calls with an AbortError.
+ *
+ * @param {string} name         Name of the method, reported as the operation in request events
+ * @param {function} fn         Implementation, always called with an opts object and a callback
+ * @returns {function}          Public method
+ */
+function asyncMethod(name, fn) {
+  var arity = fn.length;
+
+  return function() {
+    var args = _.toArray(arguments);
+    var callback = typeof _.last(args) === 'function' ? args.pop() : null;
+    args.length = arity - 1;
+    var opts = args[arity - 2] || {};
+    args[arity - 2] = _.omit(opts, CALL_OPTIONS);
+    var client = this._forCall(name, opts);
+
+    if (callback) return fn.apply(client, args.concat(callback));
+
+    return new Promise(function(resolve, reject) {
+      fn.apply(client, args.concat(function(err, result) {
+        if (err) return reject(err);
+        return resolve(result);
+      }));
+    });
+  };
+}
+
+/*
+ * Calls iterator(item, next(err)) for each item in turn, stopping at the first error.
+ *
+ * @param {array} items                 Items to iterate over
+ * @param {function} iterator           Called as iterator(item, next(err))
+ * @param {function} callback           Callback when every item is done or one fails (err)
+ */
+function eachSeries(items, iterator, callback) {
+  var index = 0;
+
+  var next = function(err) {
+    if (err || index === items.length) return callback(err || null);
+
+    iterator(items[index++], next);
+  };
+  next();
+}
+
+/*
+ * Copies request headers for events, hiding credentials so listeners can log them safely.
+ *
+ * @param {object} headers              Request headers
+ * @returns {object}
+ */
+function redactHeaders(headers) {
+  return _.mapValues(headers, function(value, name) {
+    return _.contains(['authentication', 'authorization'], name.toLowerCase()) && value ? '[redacted]' : value;
+  });
+}
+
+/*
+ * Path of a content item endpoint, such as /content/item/moderate/<contentId>. Without a contentId, the path of the
+ * endpoint itself.
+ *
+ * @param {string} endpoint             Endpoint under /content/item, or null for the item itself
+ * @param {string} contentId            UUID for the content (optional)
+ */
+function contentPath(endpoint, contentId) {
+  var path = '/content/item';
+  if (endpoint) path += '/' + endpoint;
+  if (contentId) path += '/' + encodeURIComponent(contentId);
+  return path;
 }
 
 /*
  * Send content to Cleanspeak for filtering.
  *
- * @param {string} content              Text to filter
- * @param {callback} function           Function
- * @returns err                         Error message if error occurs, else null
- * @returns result.filtered             true if text was filtered, false if not
- * @returns result.replacement          Text with replaced words if filtered, original text if not
+ * @param {string} content                  Text to filter
+ * @param {string} opts.severity            Lowest blacklist severity that matches: mild, medium, high or
+ *                                            severe (optional)
+ * @param {array} opts.categories           Only match blacklist entries with one of these tags (optional)
+ * @param {string} opts.locale              Only match blacklist entries for this locale, such as 'en' (optional)
+ * @param {string} opts.replaceCharacter    Character used to replace matches (optional)
+ * @param {bool} opts.emails                Also match email addresses (optional)
+ * @param {bool} opts.phoneNumbers          Also match phone numbers (optional)
+ * @param {bool} opts.urls                  Also match URLs (optional)
+ * @param {function} callback               Callback function (err, result). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err           Error if one occurs, else null. If the client has fallbackOnTimeout set,
+ *                                            a call that runs out of time gets the disabled-mode result instead of a
+ *                                            TimeoutError.
+ * @returns result.filtered                 true if text was filtered, false if not
+ * @returns result.replacement              Text with replaced words if filtered, original text if not
+ * @returns result.matches                  Matches, each with matched, root, severity, start, length,
+ *                                            locale, tags, type and quality
+ * @returns result.severity                 Highest severity of any match, 'none' if nothing matched
  *
  */
-CleanSpeak.prototype.filter = function(content, opts, callback) {
+CleanSpeak.prototype.filter = asyncMethod('filter', function(content, opts, callback) {
   var that = this;
-  if (typeof opts === 'function') {
-    callback = opts;
-    opts = {};
-  }
-  if (!this.enabled) return callback(null, {filtered: false, replacement: content});
+  if (!this.enabled || this._fallingBack()) return callback(null, this._filterLocally(content, opts));
+
+  var done = function(err, result) {
+    if (err && that._fallsBackLocally(err)) return callback(null, that.localFilter.filter(content, opts));
+    if (err instanceof errors.TimeoutError && that.fallbackOnTimeout) {
+      return callback(null, that._filterLocally(content, opts));
+    }
 
-  var headers = {
-    Authentication: this.authToken,
-    'Content-Type': 'application/json'
+    return callback(err, result);
   };
+
   var body = {
     content: content
   };
-  var uri = url.resolve(this.host, '/content/item/filter');
+  var filter = this._buildFilterOptions(opts);
+  if (filter) body.filter = filter;
+
+  if (!this.cache) return this._filter(body, done);
+
+  // A cache that can't be read or written is treated as a miss rather than failing the filter.
+  var key = 'filter:' + crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex');
+  this.cache.get(key, function(err, cached) {
+    if (!err && cached) {
+      that.cacheStats.hits++;
+      return callback(null, _.cloneDeep(cached));
+    }
 
-  request.post(uri, {body: JSON.stringify(body), headers: headers}, function(err, response, responseBody) {
+    that.cacheStats.misses++;
+    that._filter(body, function(err, result) {
+      if (err) return done(err);
+
+      that.cache.set(key, _.cloneDeep(result), function() {});
+      return done(null, result);
+    });
+  });
+});
+
+CleanSpeak.prototype._filter = function(body, callback) {
+  var that = this;
+
+  // Filtering has no side effects, so it is always safe to retry.
+  var options = {method: 'POST', path: contentPath('filter'), body: body, idempotent: true};
+
+  this._requestJSON(options, function(err, data) {
     if (err) return callback(err);
-    if (response.statusCode !== 200) return callback(that._convertErrors(response));
 
-    return callback(null, that._convertFilterResponse(responseBody));
+    return callback(null, that._convertFilterResponse(data));
   });
 };
 
+/*
+ * Filters a batch of content, sending at most opts.concurrency requests at a time. Identical strings are only sent
+ * once. A failure for one item does not fail the batch.
+ *
+ * @param {array} contents                  Strings to filter
+ * @param {number} opts.concurrency         Maximum number of requests in flight (default 5)
+ * @param {object} opts                     Any other option accepted by filter()
+ * @param {function} callback               Callback function (err, results). If omitted, a Promise is returned.
+ * @returns {array} results                 One entry per content, in the same order
+ * @returns results[x].content              The content
+ * @returns results[x].error                Error for this content, or null
+ * @returns results[x].result               Filter result for this content, or null if there was an error
+ *
+ */
+CleanSpeak.prototype.filterMany = asyncMethod('filterMany', function(contents, opts, callback) {
+  var that = this;
+  var concurrency = opts.concurrency || 5;
+  var filterOpts = _.omit(opts, 'concurrency');
+  var unique = _.uniq(contents);
+
+  mapLimit(unique, concurrency, function(content, index, done) {
+    that.filter(content, filterOpts, function(err, result) {
+      done({content: content, error: err || null, result: err ? null : result});
+    });
+  }, function(uniqueResults) {
+    var byContent = _.zipObject(unique, uniqueResults);
+
+    return callback(null, _.map(contents, function(content) {
+      return _.clone(byContent[content]);
+    }));
+  });
+});
+
+/*
+ * Checks a username or display name against a policy that is stricter than the one used for chat: length and
+ * allowed characters, lookalike letters from other scripts, reserved names, and CleanSpeak's filter with email address,
+ * phone number and URL matching on. Besides the name as given, the filter sees it split into words ('BigDarnGuy' as
+ * 'Big Darn Guy') and with lookalike letters and leetspeak replaced, so words run together are still caught.
+ *
+ * @param {string} name                     Name to check
+ * @param {number} opts.minLength           Fewest characters (default 3)
+ * @param {number} opts.maxLength           Most characters (default 20)
+ * @param {RegExp} opts.charset             Matches one allowed character (default /[A-Za-z0-9_.\-]/). Widen it for
+ *                                            display names, such as /[\w .'\-]/.
+ * @param {string} opts.severity            Lowest blacklist severity that denies the name (default 'mild', any match)
+ * @param {array} opts.reserved             Names nobody may take or imitate, such as 'admin' and 'moderator'. 'Adm1n'
+ *                                            and 'a_d_m_i_n' are denied too. (optional)
+ * @param {array} opts.words                Words denied anywhere in the name, even run into other words (optional)
+ * @param {number} opts.suggestions         How many alternatives to suggest when the name is denied (default 0)
+ * @param {object} opts.filter              Options passed to filter(), such as categories or locale (optional)
+ * @param {function} callback               Callback function (err, result). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err           Error if one occurs, else null
+ * @returns result.allowed                  true if the name passes every check
+ * @returns result.name                     The name that was checked
+ * @returns result.reasons                  Why the name was denied, each with code ([tooShort], [tooLong],
+ *                                            [invalidCharacters], [mixedScripts], [reserved], [inappropriate] or
+ *                                            [contactInfo]), message, and matched where there is offending text
+ * @returns result.suggestions              Names that pass the same checks, empty if the name was allowed. They are
+ *                                            not checked for being taken.
+ *
+ * Example:
+ *   cleanSpeak.validateUsername('BigD4rnGuy', {reserved: ['admin'], suggestions: 3}, function(err, result) {
+ *     // result.allowed: false, result.reasons[0].code: '[inappropriate]', result.suggestions: ['BigGuy', ...]
+ *   });
+ */
+CleanSpeak.prototype.validateUsername = asyncMethod('validateUsername', function(name, opts, callback) {
+  var that = this;
+  if (!_.isString(name)) return callback(errors.invalidField('name', '[invalid]', 'name must be a string'));
+
+  var policy = username.resolvePolicy(opts);
+  var filterOpts = _.assign({severity: policy.severity, emails: true, phoneNumbers: true, urls: true}, policy.filter);
+
+  // Calls back with the reasons each name is denied, in the same order as the names.
+  var review = function(names, done) {
+    var variants = _.map(names, username.variants);
+
+    that.filterMany(_.flatten(variants, true), filterOpts, function(err, results) {
+      var failed = _.find(results, 'error');
+      if (failed) return done(failed.error);
+
+      var byContent = _.indexBy(results, 'content');
+      return done(null, _.map(names, function(candidate, index) {
+        var filtered = _.map(variants[index], function(variant) {
+          return byContent[variant].result;
+        });
+        return username.checkPolicy(candidate, policy).concat(username.checkMatches(filtered, policy));
+      }));
+    });
+  };
+
+  review([name], function(err, reasons) {
+    if (err) return callback(err);
+
+    var result = {allowed: !reasons[0].length, name: name, reasons: reasons[0], suggestions: []};
+    if (result.allowed || !policy.suggestions) return callback(null, result);
+
+    // Some candidates will fail too, so check a few more than were asked for.
+    var candidates = username.candidates(name, reasons[0], policy, policy.suggestions * 3);
+    candidates = _.filter(candidates, function(candidate) {
+      return !username.checkPolicy(candidate, policy).length;
+    });
+    review(candidates, function(err, candidateReasons) {
+      if (err) return callback(err);
+
+      result.suggestions = _.filter(candidates, function(candidate, index) {
+        return !candidateReasons[index].length;
+      }).slice(0, policy.suggestions);
+      return callback(null, result);
+    });
+  });
+});
+
 /*
  * Sends content for moderation.
  *
- * @param {array} content                     Array of parts that make up the item.
+ * @param {array} content                     Array of parts that make up the item, or a ContentItem. The options set
+ *                                              on a ContentItem are merged under opts.
  * @param {string} content[x].name            Name of the content part (must be unique).
  * @param {string} content[x].content         The actual content for the part, such as text (for type 'text') or a URL
  *                                              (for type 'image').
  * @param {string} content[x].type            The type of the content part.
  *                                              Valid types: text, attribute, hyperlink, image, video, audio
- * @param {uuid} opts.contentId               UUID for the content.
+ * @param {uuid} opts.contentId               UUID for the content. Required.
  * @param {uuid} opts.senderId                UUID for the user who owns the content.
  * @param {string} opts.senderDisplayName     Name for the user who owns the content.
  * @param {uuid} opts.applicationId           UUID for the application the content is associated with (affects notifications).
  * @param {bool} opts.requiresApproval        Whether or not the content is sent to the queue even if no filter is hit
  * @param {bool} opts.generatesAlert          Whether or not the content is sent to the alert queue
- * @param {function} callback                 Callback function (err)
- * @returns {string} err                      Error message if an error occurs
+ * @param {function} callback                 Callback function (err). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err             Error if one occurs. Invalid arguments are reported together as a
+ *                                              ValidationError, before anything is sent.
  *
  * Example:
  * [
@@ -88,43 +432,36 @@ CleanSpeak.prototype.filter = function(content, opts, callback) {
  * ]
  *
  */
-CleanSpeak.prototype.moderate = function(content, opts, callback) {
-  var that = this;
-  if (typeof opts === 'function') {
-    callback = opts;
-    opts = {};
-  }
+CleanSpeak.prototype.moderate = asyncMethod('moderate', function(content, opts, callback) {
   if (!this.enabled) return callback(null);
-  if (this.ironClient) return this._addQueue('moderate',  {content: content, opts: opts}, callback);
-
-  var method = opts.update ? 'PUT' : 'POST';
 
-  var queueOption = null;
-  if (opts.generatesAlert) {
-    queueOption = 'generatesAlert';
-  } else if (opts.requiresApproval) {
-    queueOption = 'requiresApproval';
+  if (content instanceof ContentItem) {
+    opts = _.assign(content.toOptions(), opts);
+    content = content.toParts();
   }
 
-  var headers = {
-    Authentication: this.authToken,
-    'Content-Type': 'application/json'
-  };
-  var body = {
-    content: {
-      applicationId: opts.applicationId,
-      createInstant: new Date().valueOf(),
-      parts: content,
-      senderId: opts.senderId,
-      senderDisplayName: opts.senderDisplayName
-    },
-    moderation: queueOption
+  var err = validation.validate('moderate', _.assign({content: content}, opts));
+  if (err) return callback(err);
+  if (this.queue) return this._addQueue('moderate', [content, opts], callback);
+  if (this._fallingBack()) return callback(null);
+
+  this._moderate(content, opts, callback);
+});
+
+CleanSpeak.prototype._moderate = function(content, opts, callback) {
+  var method = opts.update ? 'PUT' : 'POST';
+  var body = ContentItem.moderationBody(content, opts);
+
+  // CleanSpeak stores the item under its contentId, so sending it twice is harmless.
+  var options = {
+    method: method,
+    path: contentPath('moderate', opts.contentId),
+    body: body,
+    idempotent: true
   };
-  var uri = url.resolve(this.host, '/content/item/moderate/' + opts.contentId);
 
-  request({method: method, uri: uri, headers: headers, body: JSON.stringify(body)}, function(err, response) {
+  this._request(options, function(err) {
     if (err) return callback(err);
-    if (response.statusCode !== 200) return callback(that._convertErrors(response));
 
     return callback(null);
   });
@@ -137,8 +474,8 @@ CleanSpeak.prototype.moderate = function(content, opts, callback) {
  * @param {string} reporterId           UUID for the user who is reporting the content.
  * @param {bool} opts.reason            (optional) Reason the item is being reported (i.e. spam, abusive)
  * @param {bool} opts.comment           (optional) Comment from the reporting user
- * @param {function} callback           Callback function (err)
- * @returns {string} err                Error message if an error occurs
+ * @param {function} callback           Callback function (err). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err       Error if one occurs, a ValidationError for invalid arguments
  *
  * Example:
  * [
@@ -150,18 +487,18 @@ CleanSpeak.prototype.moderate = function(content, opts, callback) {
  * ]
  *
  */
-CleanSpeak.prototype.flagContent = function(contentId, reporterId, opts, callback) {
-  var that = this;
-  if (typeof opts === 'function') {
-    callback = opts;
-    opts = {};
-  }
+CleanSpeak.prototype.flagContent = asyncMethod('flagContent', function(contentId, reporterId, opts, callback) {
   if (!this.enabled) return callback(null);
 
-  var headers = {
-    Authentication: this.authToken,
-    'Content-Type': 'application/json'
-  };
+  var err = validation.validate('flagContent', _.assign({contentId: contentId, reporterId: reporterId}, opts));
+  if (err) return callback(err);
+  if (this.queue) return this._addQueue('flagContent', [contentId, reporterId, opts], callback);
+  if (this._fallingBack()) return callback(null);
+
+  this._flagContent(contentId, reporterId, opts, callback);
+});
+
+CleanSpeak.prototype._flagContent = function(contentId, reporterId, opts, callback) {
   var body = {
     flag: {
       reporterId: reporterId,
@@ -170,16 +507,138 @@ CleanSpeak.prototype.flagContent = function(contentId, reporterId, opts, callbac
   };
   if (opts.reason) body.flag.reason = opts.reason;
   if (opts.comment) body.flag.comment = opts.comment;
-  var uri = url.resolve(this.host, '/content/item/flag/' + contentId);
 
-  request({method: 'POST', uri: uri, headers: headers, body: JSON.stringify(body)}, function(err, response) {
+  // Each flag is a new record, so a flag that may have reached the server is never sent again.
+  this._request({method: 'POST', path: contentPath('flag', contentId), body: body}, function(err) {
     if (err) return callback(err);
-    if (response.statusCode !== 200) return callback(that._convertErrors(response));
 
     return callback(null);
   });
 };
 
+/*
+ * Gets a content item sent for moderation.
+ *
+ * @param {uuid} contentId                  UUID for the content
+ * @param {function} callback               Callback function (err, content). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err           Error if one occurs, NotFoundError if there is no such content
+ * @returns content                         Content with id, applicationId, senderId, senderDisplayName, parts and
+ *                                            createInstant (a Date). null when enabled is false.
+ */
+CleanSpeak.prototype.getContent = asyncMethod('getContent', function(contentId, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null, null);
+
+  var err = validation.validate('getContent', {contentId: contentId});
+  if (err) return callback(err);
+
+  this._requestJSON({method: 'GET', path: contentPath(null, contentId)}, function(err, data) {
+    if (err) return callback(err);
+
+    return callback(null, resources.content(data.content));
+  });
+});
+
+/*
+ * Updates some parts of a content item, keeping the others. The item is fetched, its parts merged and the result sent
+ * for moderation again as with moderate and opts.update.
+ *
+ * @param {uuid} contentId                    UUID for the content
+ * @param {array} parts                       Parts to change, in the same form as moderate's content. Parts are
+ *                                              matched by name; parts with a new name are added, and parts with a
+ *                                              null content are removed.
+ * @param {bool} opts.requiresApproval        Same as moderate (optional)
+ * @param {bool} opts.generatesAlert          Same as moderate (optional)
+ * @param {function} callback                 Callback function (err, content). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err             Error if one occurs, NotFoundError if there is no such content
+ * @returns content                           Updated content, in the same form as getContent's result
+ */
+CleanSpeak.prototype.updateContentParts = asyncMethod('updateContentParts', function(contentId, parts, opts, callback) {
+  var that = this;
+  if (!this.enabled || this._fallingBack()) return callback(null, null);
+
+  var err = validation.validate('updateContentParts', {contentId: contentId, parts: parts});
+  if (err) return callback(err);
+
+  this.getContent(contentId, function(err, content) {
+    if (err) return callback(err);
+
+    var merged = _.reject(content.parts, function(part) {
+      return _.some(parts, {name: part.name});
+    }).concat(_.reject(parts, {content: null}));
+    var sender = _.pick(content, function(value, key) {
+      return value !== null && _.contains(['applicationId', 'senderId', 'senderDisplayName'], key);
+    });
+    var moderateOpts = _.assign(sender, {
+      contentId: contentId,
+      update: true,
+      requiresApproval: opts.requiresApproval,
+      generatesAlert: opts.generatesAlert
+    });
+
+    that._moderate(merged, moderateOpts, function(err) {
+      if (err) return callback(err);
+
+      return callback(null, _.assign(content, {parts: merged}));
+    });
+  });
+});
+
+/*
+ * Deletes a content item, for example when its author removes it.
+ *
+ * @param {uuid} contentId                    UUID for the content
+ * @param {function} callback                 Callback function (err). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err             Error if one occurs
+ */
+CleanSpeak.prototype.deleteContent = asyncMethod('deleteContent', function(contentId, opts, callback) {
+  if (!this.enabled) return callback(null);
+
+  var err = validation.validate('deleteContent', {contentId: contentId});
+  if (err) return callback(err);
+  if (this.queue) return this._addQueue('deleteContent', [contentId, opts], callback);
+  if (this._fallingBack()) return callback(null);
+
+  this._deleteContent(contentId, opts, callback);
+});
+
+CleanSpeak.prototype._deleteContent = function(contentId, opts, callback) {
+  this._request({method: 'DELETE', path: contentPath(null, contentId)}, function(err) {
+    if (err) return callback(err);
+
+    return callback(null);
+  });
+};
+
+/*
+ * Gets the moderation status of a content item.
+ *
+ * @param {uuid} contentId                    UUID for the content
+ * @param {function} callback                 Callback function (err, status). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err             Error if one occurs, NotFoundError if there is no such content
+ * @returns status.contentId                  UUID for the content
+ * @returns status.status                     pending, approved or rejected, or null if CleanSpeak did not say
+ * @returns status.moderatorId                UUID of the moderator who approved or rejected it, or null
+ * @returns status.updateInstant              When the status last changed (a Date), or null
+ */
+CleanSpeak.prototype.getContentStatus = asyncMethod('getContentStatus', function(contentId, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null, null);
+
+  var err = validation.validate('getContentStatus', {contentId: contentId});
+  if (err) return callback(err);
+
+  this._requestJSON({method: 'GET', path: contentPath('status', contentId)}, function(err, data) {
+    if (err) return callback(err);
+
+    var status = data.status || {};
+    return callback(null, {
+      contentId: contentId,
+      status: status.status || null,
+      moderatorId: status.moderatorId || null,
+      updateInstant: status.updateInstant ? new Date(status.updateInstant) : null
+    });
+  });
+});
+
 /*
  * Adds a site user to the CleanSpeak system.
  *
@@ -195,23 +654,23 @@ CleanSpeak.prototype.flagContent = function(contentId, reporterId, opts, callbac
  * @param {number} opts.name              User's name (optional).
  * @param {string} opts.imageURL          URL for user's profile image.
  * @param {boolean} opts.update           true if updating an existing record, false if not
- * @returns {string} err                  Error message if an error occurs
+ * @param {function} callback             Callback function (err). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err         Error if one occurs, a ValidationError for invalid arguments
  *
  */
-CleanSpeak.prototype.addUser = function(userId, opts, callback) {
-  if (typeof opts === 'function') {
-    callback = opts;
-    opts = {};
-  }
+CleanSpeak.prototype.addUser = asyncMethod('addUser', function(userId, opts, callback) {
   if (!this.enabled) return callback(null);
 
   if (opts.lastLoginInstant instanceof Date) opts.lastLoginInstant = opts.lastLoginInstant.valueOf();
+  var err = validation.validate('addUser', _.assign({userId: userId}, opts));
+  if (err) return callback(err);
+  if (this.queue) return this._addQueue('addUser', [userId, opts], callback);
+  if (this._fallingBack()) return callback(null);
 
-  var headers = {
-    Authentication: this.authToken,
-    'Content-Type': 'application/json'
-  };
+  this._addUser(userId, opts, callback);
+});
 
+CleanSpeak.prototype._addUser = function(userId, opts, callback) {
   var userOpts = _.pick({
     applicationIds: opts.applicationIds,
     attributes: opts.attributes,
@@ -228,15 +687,268 @@ CleanSpeak.prototype.addUser = function(userId, opts, callback) {
   var body = {
     user: userOpts
   };
-  var uri = url.resolve(this.host, '/content/user/' + userId);
   var method = opts.update ? 'PUT' : 'POST';
 
-  request({method: method, uri: uri, headers: headers, body: JSON.stringify(body)}, function(err) {
+  // The user ID is part of the URI, so a repeated request can't create a second user.
+  this._request({method: method, path: '/content/user/' + userId, body: body, idempotent: true}, function(err) {
     if (err) return callback(err);
+
     return callback(null);
   });
 };
 
+/*
+ * Takes an action against a user, such as banning them.
+ *
+ * @param {string} userId                 UUID for the user
+ * @param {string} action                 ban, mute or warn
+ * @param {array} opts.applicationIds     Applications the action applies in. If omitted, it applies in all
+ *                                          applications (optional).
+ * @param {string} opts.reason            Reason for the action, such as spam or abusive (optional)
+ * @param {string} opts.comment           Comment from the moderator (optional)
+ * @param {uuid} opts.moderatorId         UUID of the moderator taking the action (optional)
+ * @param {number} opts.duration          Milliseconds the action lasts (optional)
+ * @param {Date} opts.expiry              When the action ends, as a Date or timestamp, instead of duration. Without
+ *                                          either, bans and mutes last until they are removed (optional).
+ * @param {function} callback             Callback function (err, action). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err         Error if one occurs
+ * @returns action                        Action with id, userId, action, applicationIds, reason, comment,
+ *                                          moderatorId, createInstant, expiry and endInstant
+ */
+CleanSpeak.prototype.actionUser = asyncMethod('actionUser', function(userId, action, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null);
+  var err = validation.validate('actionUser', {userId: userId});
+  if (err) return callback(err);
+  if (!_.contains(USER_ACTIONS, action)) {
+    return callback(errors.invalidField('action', '[invalid]', 'action must be one of ' + USER_ACTIONS.join(', ')));
+  }
+
+  var now = new Date().valueOf();
+  var expiry = opts.expiry instanceof Date ? opts.expiry.valueOf() : opts.expiry;
+  if (opts.duration) expiry = now + opts.duration;
+
+  var body = {
+    userAction: _.pick({
+      action: action,
+      applicationIds: opts.applicationIds,
+      reason: opts.reason,
+      comment: opts.comment,
+      moderatorId: opts.moderatorId,
+      createInstant: now,
+      expiry: action !== 'warn' ? expiry : null
+    }, function(value) {
+      return !!value;
+    })
+  };
+
+  this._requestJSON({method: 'POST', path: '/content/user/action/' + userId, body: body}, function(err, data) {
+    if (err) return callback(err);
+
+    return callback(null, resources.userAction(_.assign({userId: userId}, data.userAction)));
+  });
+});
+
+/*
+ * Removes a ban or mute from a user before it expires.
+ *
+ * @param {string} userId                 UUID for the user
+ * @param {string} action                 ban or mute
+ * @param {array} opts.applicationIds     Applications to remove the action from. If omitted, it is removed from all
+ *                                          applications (optional).
+ * @param {string} opts.reason            Reason for removing it (optional)
+ * @param {string} opts.comment           Comment from the moderator (optional)
+ * @param {uuid} opts.moderatorId         UUID of the moderator removing it (optional)
+ * @param {function} callback             Callback function (err). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err         Error if one occurs
+ */
+CleanSpeak.prototype.removeUserAction = asyncMethod('removeUserAction', function(userId, action, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null);
+  var err = validation.validate('removeUserAction', {userId: userId});
+  if (err) return callback(err);
+  if (!_.contains(_.without(USER_ACTIONS, 'warn'), action)) {
+    return callback(errors.invalidField('action', '[invalid]', 'Only ban and mute actions can be removed'));
+  }
+
+  var body = {
+    userAction: _.pick({
+      action: action,
+      applicationIds: opts.applicationIds,
+      reason: opts.reason,
+      comment: opts.comment,
+      moderatorId: opts.moderatorId
+    }, function(value) {
+      return !!value;
+    })
+  };
+
+  this._request({method: 'DELETE', path: '/content/user/action/' + userId, body: body}, function(err) {
+    if (err) return callback(err);
+
+    return callback(null);
+  });
+});
+
+/*
+ * Shorthands for actionUser and removeUserAction, taking the same arguments without the action.
+ */
+CleanSpeak.prototype.banUser = function() {
+  return this.actionUser.apply(this, userActionArgs(arguments, 'ban'));
+};
+
+CleanSpeak.prototype.muteUser = function() {
+  return this.actionUser.apply(this, userActionArgs(arguments, 'mute'));
+};
+
+CleanSpeak.prototype.warnUser = function() {
+  return this.actionUser.apply(this, userActionArgs(arguments, 'warn'));
+};
+
+CleanSpeak.prototype.unbanUser = function() {
+  return this.removeUserAction.apply(this, userActionArgs(arguments, 'ban'));
+};
+
+CleanSpeak.prototype.unmuteUser = function() {
+  return this.removeUserAction.apply(this, userActionArgs(arguments, 'mute'));
+};
+
+function userActionArgs(args, action) {
+  args = _.toArray(args);
+  return [args[0], action].concat(args.slice(1));
+}
+
+/*
+ * Gets the actions taken against a user, newest first, including expired and removed ones.
+ *
+ * @param {string} userId                 UUID for the user
+ * @param {array} opts.applicationIds     Only return actions that apply in these applications (optional)
+ * @param {function} callback             Callback function (err, actions). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err         Error if one occurs
+ * @returns actions                       Actions, in the same form as actionUser's result
+ */
+CleanSpeak.prototype.getUserActions = asyncMethod('getUserActions', function(userId, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null, []);
+  var err = validation.validate('getUserActions', {userId: userId});
+  if (err) return callback(err);
+
+  var path = '/content/user/action/' + userId;
+  if (opts.applicationIds) path += '?' + querystring.stringify({applicationIds: opts.applicationIds});
+
+  this._requestJSON({method: 'GET', path: path}, function(err, data) {
+    if (err) return callback(err);
+
+    var actions = _.map(data.userActions || [], function(action) {
+      return resources.userAction(_.assign({userId: userId}, action));
+    });
+    return callback(null, _.sortBy(actions, function(action) {
+      return action.createInstant ? -action.createInstant.valueOf() : 0;
+    }));
+  });
+});
+
+/*
+ * Gets whether a user is currently banned or muted, from their action history.
+ *
+ * @param {string} userId                 UUID for the user
+ * @param {array} opts.applicationIds     Only consider actions that apply in these applications (optional)
+ * @param {function} callback             Callback function (err, status). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err         Error if one occurs
+ * @returns status.banned                 true if a ban is in effect
+ * @returns status.muted                  true if a mute is in effect
+ * @returns status.activeActions          Bans and mutes in effect, in the same form as actionUser's result
+ */
+CleanSpeak.prototype.getUserStatus = asyncMethod('getUserStatus', function(userId, opts, callback) {
+  this.getUserActions(userId, opts, function(err, actions) {
+    if (err) return callback(err);
+
+    var now = new Date().valueOf();
+    var active = _.filter(actions, function(action) {
+      return action.action !== 'warn' && !action.endInstant && (!action.expiry || action.expiry.valueOf() > now);
+    });
+    return callback(null, {
+      banned: _.some(active, {action: 'ban'}),
+      muted: _.some(active, {action: 'mute'}),
+      activeActions: active
+    });
+  });
+});
+
+/*
+ * Gets a user added with addUser.
+ *
+ * @param {uuid} userId                     UUID for the user
+ * @param {function} callback               Callback function (err, user). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err           Error if one occurs, NotFoundError if there is no such user
+ * @returns user                            User with id, name, email, birthDate, displayNames, applicationIds,
+ *                                            attributes, imageURL, createInstant and lastLoginInstant (Dates).
+ *                                            null when enabled is false.
+ */
+CleanSpeak.prototype.getUser = asyncMethod('getUser', function(userId, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null, null);
+  var err = validation.validate('getUser', {userId: userId});
+  if (err) return callback(err);
+
+  this._requestJSON({method: 'GET', path: '/content/user/' + userId}, function(err, data) {
+    if (err) return callback(err);
+
+    return callback(null, resources.user(data.user));
+  });
+});
+
+/*
+ * Searches users, one page at a time. iterateUsers goes through every page.
+ *
+ * @param {object} criteria                 Search criteria, such as name, email or applicationIds
+ * @param {number} opts.startRow            Index of the first result (default 0)
+ * @param {number} opts.numberOfResults     Results per page (default 25)
+ * @param {string} opts.orderBy             Sort order, such as 'name ASC' (optional)
+ * @param {function} callback               Callback function (err, result). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err           Error if one occurs
+ * @returns result.users                    Users on this page, in the same form as getUser's result
+ * @returns result.total                    Number of users matching the criteria, or null if CleanSpeak did not say
+ */
+CleanSpeak.prototype.searchUsers = asyncMethod('searchUsers', function(criteria, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null, {users: [], total: 0});
+
+  var query = _.assign({}, criteria, {
+    startRow: opts.startRow || 0,
+    numberOfResults: opts.numberOfResults || 25
+  });
+  if (opts.orderBy) query.orderBy = opts.orderBy;
+
+  var path = '/content/user/search?' + querystring.stringify(query);
+  this._requestJSON({method: 'GET', path: path}, function(err, data) {
+    if (err) return callback(err);
+
+    var users = _.map(data.users || [], resources.user);
+    return callback(null, {users: users, total: _.isNumber(data.total) ? data.total : null});
+  });
+});
+
+/*
+ * Iterates over every user matching the criteria, fetching them a page at a time.
+ *
+ * @param {object} criteria                 Same as searchUsers
+ * @param {number} opts.pageSize            Users fetched per request (default 25)
+ * @param {string} opts.orderBy             Sort order (optional)
+ * @param {number} opts.timeout             Milliseconds each page may take (optional)
+ * @param {AbortSignal} opts.signal         Signal that cancels the iteration (optional)
+ * @returns {Pager}                         Async iterator over the users, see lib/pager.js
+ */
+CleanSpeak.prototype.iterateUsers = function(criteria, opts) {
+  var that = this;
+  opts = opts || {};
+
+  return new Pager(function(startRow, numberOfResults, callback) {
+    var pageOpts = _.assign({startRow: startRow, numberOfResults: numberOfResults, orderBy: opts.orderBy},
+      _.pick(opts, CALL_OPTIONS));
+    that.searchUsers(criteria, pageOpts, function(err, result) {
+      if (err) return callback(err);
+
+      return callback(null, result.users, result.total);
+    });
+  }, opts);
+};
+
 /*
  * Creates a new application (with a new moderation queue) and attaches a notification server.
  *
@@ -252,22 +964,23 @@ CleanSpeak.prototype.addUser = function(userId, opts, callback) {
  * @param {bool} opts.contentUserActionsEnabled         true if users in this application can be actioned by moderators.
  *
  * @param {uuid} opts.id                                Optional id to use for the application instead of selecting a random one.
- * @param {callback} function                           Callback when complete (err, result)
- * @returns {string} err                                Error message if error occurs
+ * @param {function} callback                           Callback when complete (err, result). If omitted, a Promise
+ *                                                        is returned.
+ * @returns {CleanSpeakError} err                       Error if one occurs, a ValidationError for invalid
+ *                                                        arguments. If the notification server can't be
+ *                                                        created, the application is deleted again and err.rolledBack
+ *                                                        is true; if that fails too, rolledBack is false and
+ *                                                        err.rollbackError has the reason.
+ * @returns result.id                                   ID of the created application
+ * @returns result.notificationServerId                 ID of the created notification server
  *
  */
-CleanSpeak.prototype.createApplication = function(name, opts, callback) {
+CleanSpeak.prototype.createApplication = asyncMethod('createApplication', function(name, opts, callback) {
   var that = this;
-  if (typeof opts === 'function') {
-    callback = opts;
-    opts = {};
-  }
-  if (!this.enabled) return callback(null);
+  if (!this.enabled || this._fallingBack()) return callback(null);
 
-  var headers = {
-    Authentication: this.authToken,
-    'Content-Type': 'application/json'
-  };
+  var err = validation.validate('createApplication', _.assign({name: name}, opts));
+  if (err) return callback(err);
 
   var moderationOpts = _.pick(opts, [
     'contentDeletable',
@@ -284,51 +997,64 @@ CleanSpeak.prototype.createApplication = function(name, opts, callback) {
     }
   };
 
-  var uri = url.resolve(this.host, '/system/application');
-  if (opts.id) uri += '/' + opts.id;
+  var notificationUri = this._notificationUri(opts.notificationPath);
+  if (!notificationUri) {
+    return callback(errors.invalidField('notificationHost', '[invalid]',
+      'Could not build a notification URI from ' + this.notificationHost + ' and ' + opts.notificationPath));
+  }
+
+  var path = '/system/application';
+  if (opts.id) path += '/' + opts.id;
 
-  request.post(uri, {headers: headers, body: JSON.stringify(body)}, function(err, response, body) {
+  // Without an ID, a retry could create a second application.
+  this._requestJSON({method: 'POST', path: path, body: body, idempotent: !!opts.id}, function(err, data) {
     if (err) return callback(err);
-    if (response.statusCode !== 200) return callback(that._convertErrors(response));
 
-    var applicationId = JSON.parse(body).application.id;
-    that._createNotificationServer(applicationId, opts.notificationPath, function(err) {
-      if (err) return callback(err);
+    var applicationId = data.application.id;
+    that._attachNotificationServer(applicationId, notificationUri, function(err, server) {
+      if (err) return that._rollbackApplication(applicationId, err, callback);
 
-      return callback(null, {id: applicationId});
+      return callback(null, {id: applicationId, notificationServerId: server.id});
     });
   });
-};
+});
 
 /*
- * Deletes an application, along with its notification server.
+ * Deletes an application, along with the notification servers linked to it. Servers that are also linked to other
+ * applications are kept, and only unlinked from this one.
  *
- * @param {uuid} id                 ID for the application, as shown in Cleanspeak
- * @param {callback} function       Callback when complete (err, result)
- * @returns {string} err            Error message if error occurs
+ * The servers are detached first, so no notification arrives for a deleted application. If the application can't be
+ * deleted, they are restored (deleted servers are recreated with new IDs) and the error has rolledBack set, as for
+ * createApplication.
+ *
+ * @param {uuid} id                         ID for the application, as shown in Cleanspeak
+ * @param {function} callback               Callback when complete (err, result). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err           Error if one occurs
+ * @returns result.id                       ID of the deleted application
+ * @returns result.deletedNotificationServerIds     IDs of the notification servers deleted
+ * @returns result.unlinkedNotificationServerIds    IDs of the shared notification servers unlinked from it
  *
  */
-CleanSpeak.prototype.deleteApplication = function(id, opts, callback) {
+CleanSpeak.prototype.deleteApplication = asyncMethod('deleteApplication', function(id, opts, callback) {
   var that = this;
-  if (!this.enabled) return callback(null);
-  if (!opts.notificationPath) return callback('notificationPath is required');
+  if (!this.enabled || this._fallingBack()) return callback(null);
+  var err = validation.validate('deleteApplication', {id: id});
+  if (err) return callback(err);
 
-  var headers = {
-    Authentication: this.authToken
-  };
-
-  var uri = url.resolve(this.host, '/system/application/' + id);
-  request.del(uri, {headers: headers}, function(err, response) {
+  this._detachNotificationServers(id, function(err, detached) {
     if (err) return callback(err);
-    if (response.statusCode !== 200) return callback(that._convertErrors(response));
 
-    that._deleteNotificationServer(id, opts.notificationPath, function(err) {
-      if (err) return callback(err);
+    that._request({method: 'DELETE', path: '/system/application/' + id}, function(err) {
+      if (err) return that._restoreNotificationServers(detached, err, callback);
 
-      return callback(null);
+      return callback(null, {
+        id: id,
+        deletedNotificationServerIds: _.pluck(detached.deleted, 'id'),
+        unlinkedNotificationServerIds: _.pluck(detached.unlinked, 'id')
+      });
     });
   });
-};
+});
 
 /*
  * Updates an existing application.
@@ -343,22 +1069,15 @@ CleanSpeak.prototype.deleteApplication = function(id, opts, callback) {
  * @param {bool} opts.defaultActionIsQueueForApproval   true if all content should be queued (pre-moderation).
  *                                                        If false, this can still be set on individual moderation calls.
  * @param {bool} opts.contentUserActionsEnabled         true if users in this application can be actioned by moderators.
- * @param {callback} function                           Callback when complete (err, result)
- * @returns {string} err                                Error message if error occurs
+ * @param {function} callback                           Callback when complete (err, result). If omitted, a Promise
+ *                                                        is returned.
+ * @returns {CleanSpeakError} err                       Error if one occurs
  *
  */
-CleanSpeak.prototype.updateApplication = function(id, opts, callback) {
-  var that = this;
-  if (typeof opts === 'function') {
-    callback = opts;
-    opts = {};
-  }
-  if (!this.enabled) return callback(null);
-
-  var headers = {
-    Authentication: this.authToken,
-    'Content-Type': 'application/json'
-  };
+CleanSpeak.prototype.updateApplication = asyncMethod('updateApplication', function(id, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null);
+  var err = validation.validate('updateApplication', {id: id});
+  if (err) return callback(err);
 
   var moderationOpts = _.pick(opts, [
     'contentDeletable',
@@ -375,115 +1094,705 @@ CleanSpeak.prototype.updateApplication = function(id, opts, callback) {
     }
   };
 
-  var uri = url.resolve(this.host, '/system/application/' + id);
-
-  request.put(uri, {headers: headers, body: JSON.stringify(body)}, function(err, response) {
+  this._request({method: 'PUT', path: '/system/application/' + id, body: body}, function(err) {
     if (err) return callback(err);
-    if (response.statusCode !== 200) return callback(that._convertErrors(response));
 
     return callback(null);
   });
-};
+});
 
 /*
- * Deletes a notification server and all records.
+ * Gets an application.
  *
- * @param {string} applicationId            Application ID to link to the server
- * @param {function} callback               Callback when complete (err)
- * @returns {string} err                    Error message if error occurs
+ * @param {uuid} id                         ID for the application
+ * @param {function} callback               Callback when complete (err, application). If omitted, a Promise is
+ *                                            returned.
+ * @returns {CleanSpeakError} err           Error if one occurs, NotFoundError if there is no such application
+ * @returns application                     Application with id, name and moderationConfiguration. null when enabled
+ *                                            is false.
  */
-CleanSpeak.prototype._deleteNotificationServer = function(applicationId, path, callback) {
-  var query, params, that = this;
+CleanSpeak.prototype.getApplication = asyncMethod('getApplication', function(id, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null, null);
+  var err = validation.validate('getApplication', {id: id});
+  if (err) return callback(err);
+
+  this._requestJSON({method: 'GET', path: '/system/application/' + id}, function(err, data) {
+    if (err) return callback(err);
 
-  pg.connect(this.databaseUrl, function(err, client, done) {
-    var uri = url.resolve(that.notificationHost, path);
-    if (!uri) return callback('Error while build URI. noticationHost: ', that.notificationHost, ', path: ', path);
-    if (err) return callback('error fetching client from pool', err);
+    return callback(null, resources.application(data.application));
+  });
+});
 
-    query = 'DELETE FROM notification_servers WHERE url = $1';
-    params = [uri];
-    client.query(query, params, function(err) {
-      done();
+/*
+ * Lists every application.
+ *
+ * @param {function} callback               Callback when complete (err, applications). If omitted, a Promise is
+ *                                            returned.
+ * @returns {CleanSpeakError} err           Error if one occurs
+ * @returns applications                    Applications, in the same form as getApplication's result
+ */
+CleanSpeak.prototype.listApplications = asyncMethod('listApplications', function(opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null, []);
+
+  this._requestJSON({method: 'GET', path: '/system/application'}, function(err, data) {
+    if (err) return callback(err);
+
+    return callback(null, _.map(data.applications || [], resources.application));
+  });
+});
+
+/*
+ * Iterates over every application. CleanSpeak returns all applications in one response, so this makes a single
+ * request; it exists so applications and users can be iterated the same way.
+ *
+ * @param {number} opts.startRow            Index of the first application (default 0)
+ * @param {number} opts.timeout             Milliseconds the request may take (optional)
+ * @param {AbortSignal} opts.signal         Signal that cancels the iteration (optional)
+ * @returns {Pager}                         Async iterator over the applications, see lib/pager.js
+ */
+CleanSpeak.prototype.iterateApplications = function(opts) {
+  var that = this;
+
+  return new Pager(function(startRow, numberOfResults, callback) {
+    that.listApplications(_.pick(opts || {}, CALL_OPTIONS), function(err, applications) {
       if (err) return callback(err);
 
-      return callback(null);
+      return callback(null, applications.slice(startRow), applications.length);
     });
+  }, opts);
+};
+
+/*
+ * Creates a notification server, which CleanSpeak contacts when moderators act on content or users in its
+ * applications.
+ *
+ * @param {string} opts.url                             URL CleanSpeak sends notifications to
+ * @param {string} opts.path                            Path on notificationHost, used instead of url
+ * @param {string} opts.httpAuthenticationUsername      Basic auth username. Defaults to notificationUsername.
+ * @param {string} opts.httpAuthenticationPassword      Basic auth password. Defaults to notificationPassword.
+ * @param {array} opts.applicationIds                   IDs of the applications whose notifications are sent
+ * @param {function} callback                           Callback when complete (err, server). If omitted, a Promise
+ *                                                        is returned.
+ * @returns {CleanSpeakError} err                       Error if one occurs
+ * @returns server                                      Server with id, url, httpAuthenticationUsername,
+ *                                                        httpAuthenticationPassword and applicationIds
+ */
+CleanSpeak.prototype.createNotificationServer = asyncMethod('createNotificationServer', function(opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null);
+
+  var server = this._notificationServerFields(opts);
+  if (!server.url) return callback(errors.invalidField('url', '[missing]', 'url or path is required'));
+
+  this.notificationServers.create(server, callback);
+});
+
+/*
+ * Lists every notification server.
+ *
+ * @param {function} callback               Callback when complete (err, servers). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err           Error if one occurs
+ * @returns servers                         Servers, in the same form as createNotificationServer's result. Empty when
+ *                                            enabled is false.
+ */
+CleanSpeak.prototype.listNotificationServers = asyncMethod('listNotificationServers', function(opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null, []);
+
+  this.notificationServers.list(callback);
+});
+
+/*
+ * Gets a notification server.
+ *
+ * @param {string} id                       ID of the notification server
+ * @param {function} callback               Callback when complete (err, server). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err           Error if one occurs, NotFoundError if there is no such server
+ */
+CleanSpeak.prototype.getNotificationServer = asyncMethod('getNotificationServer', function(id, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null);
+
+  this.notificationServers.get(id, callback);
+});
+
+/*
+ * Replaces a notification server's settings. Takes the same options as createNotificationServer; fields that are
+ * left out are not kept.
+ *
+ * @param {string} id                       ID of the notification server
+ * @param {function} callback               Callback when complete (err, server). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err           Error if one occurs
+ */
+CleanSpeak.prototype.updateNotificationServer = asyncMethod('updateNotificationServer', function(id, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null);
+
+  var server = this._notificationServerFields(opts);
+  if (!server.url) return callback(errors.invalidField('url', '[missing]', 'url or path is required'));
+
+  this.notificationServers.update(id, server, callback);
+});
+
+/*
+ * Deletes a notification server.
+ *
+ * @param {string} id                       ID of the notification server
+ * @param {function} callback               Callback when complete (err). If omitted, a Promise is returned.
+ * @returns {CleanSpeakError} err           Error if one occurs
+ */
+CleanSpeak.prototype.deleteNotificationServer = asyncMethod('deleteNotificationServer', function(id, opts, callback) {
+  if (!this.enabled || this._fallingBack()) return callback(null);
+
+  this.notificationServers.remove(id, callback);
+});
+
+/*
+ * Creates a receiver for the notifications CleanSpeak sends to the notification server registered by
+ * createApplication, checking the notificationUsername and notificationPassword this client was configured with.
+ * Throws a ConfigurationError if the client has no notification credentials, unless opts.allowUnauthenticated is set.
+ *
+ * @param {bool} opts.allowUnauthenticated  Accept notifications without credentials (optional)
+ * @returns {NotificationReceiver}          Emits contentApproval, contentDelete, contentEdit and userAction events.
+ *                                            Mount receiver.handler as a route, or pass it to http.createServer.
+ *
+ * Example:
+ *   var receiver = cleanSpeak.createNotificationReceiver();
+ *   receiver.on('contentApproval', function(event) { ... });
+ *   app.post('/contests/:id/moderate', receiver.handler);
+ */
+CleanSpeak.prototype.createNotificationReceiver = function(opts) {
+  opts = opts || {};
+
+  return new NotificationReceiver({
+    username: this.notificationUsername,
+    password: this.notificationPassword,
+    allowUnauthenticated: opts.allowUnauthenticated
   });
 };
 
 /*
- * Creates a notification server and links it to the application.
+ * Creates Express/Connect middleware that filters fields of req.body before the route sees them, replacing the
+ * text, rejecting the request with a 422, or only recording the results on req.cleanspeak.
  *
- * @param {string} applicationId            Application ID to link to the server
- * @param {string} path                     Path that the notification server will contact on moderation accept/reject
- * @param {function} callback               Callback when complete (err)
- * @returns {string} err                    Error message if error occurs
+ * @param {object|array} fields             Paths of the fields to filter, such as 'comment' or 'posts[].title',
+ *                                            mapped to their action. See lib/filter-middleware.js.
+ * @param {object} opts                     Defaults for every field, see lib/filter-middleware.js (optional)
+ * @returns {function}                      Middleware (req, res, next). Expects req.body to be parsed already.
+ *
+ * Example:
+ *   app.post('/comments', bodyParser.json(), cleanSpeak.filterMiddleware({
+ *     text: 'replace',
+ *     'author.displayName': {action: 'reject', severity: 'medium'}
+ *   }), createComment);
+ */
+CleanSpeak.prototype.filterMiddleware = function(fields, opts) {
+  return filterMiddleware(this, fields, opts);
+};
+
+/*
+ * Creates an object-mode Transform stream for high-rate content such as chat. Messages written to it are filtered in
+ * micro-batches and the results are read back in the same order, each with the message and timing details. Writes
+ * slow down while CleanSpeak is behind.
+ *
+ * @param {number} opts.maxBatchSize        Most messages in a batch (default 50)
+ * @param {number} opts.maxWait             Most milliseconds a message waits for its batch to fill (default 20)
+ * @param {number} opts.maxBatches          Most batches waiting on CleanSpeak at once (default 2)
+ * @param {number} opts.concurrency         Most filter requests in flight per batch (default 10)
+ * @param {object} opts.filter              Options passed to filter(), such as severity or locale (optional)
+ * @returns {FilterStream}                  See lib/filter-stream.js for the shape of each result
+ *
+ * Example:
+ *   chatMessages.pipe(cleanSpeak.createFilterStream({maxWait: 10})).on('data', function(filtered) {
+ *     broadcast(filtered.message.roomId, filtered.result.replacement);
+ *   });
+ */
+CleanSpeak.prototype.createFilterStream = function(opts) {
+  return new FilterStream(this, opts);
+};
+
+/*
+ * Filters the messages from an iterable or async iterable in micro-batches, like createFilterStream().
+ *
+ * @param {object} source                   Iterable or async iterable of messages
+ * @param {object} opts                     Same as createFilterStream() (optional)
+ * @returns {FilterStream}                  Results in the same order as the messages. The stream is an async iterable
+ *                                            on Node 10 and later.
+ *
+ * Example:
+ *   for await (var filtered of cleanSpeak.filterIterable(messages)) {
+ *     broadcast(filtered.result.replacement);
+ *   }
+ */
+CleanSpeak.prototype.filterIterable = function(source, opts) {
+  return FilterStream.iterate(this, source, opts);
+};
+
+/*
+ * Sends a request to CleanSpeak, retrying and tripping the circuit breaker according to the client's configuration.
+ *
+ * @param {string} opts.method              HTTP method
+ * @param {string} opts.path                Path on the CleanSpeak host
+ * @param {object} opts.body                Request body, sent as JSON (optional)
+ * @param {bool} opts.idempotent            Whether the request can be sent more than once safely. Defaults to false
+ *                                            for POST and true for everything else. Only idempotent requests are
+ *                                            retried.
+ * @param {function} callback               Callback when complete (err, response, body)
+ * @returns {CleanSpeakError} err           Error if the request fails or returns a status other than 200
  */
-CleanSpeak.prototype._createNotificationServer = function(applicationId, path, callback) {
+CleanSpeak.prototype._request = function(opts, callback) {
   var that = this;
+  var uri = url.resolve(this.host, opts.path);
+  var idempotent = typeof opts.idempotent !== 'undefined' ? opts.idempotent : opts.method !== 'POST';
+  var attempts = 0;
 
-  pg.connect(this.databaseUrl, function(err, client, done) {
-    var uri = url.resolve(that.notificationHost, path);
-    if (!uri) return callback('Error while build URI. noticationHost: ', that.notificationHost, ', path: ', path);
-    if (err) return callback('error fetching client from pool', err);
-
-    var query = 'INSERT INTO notification_servers (url, http_authentication_username, http_authentication_password) VALUES ($1, $2, $3) RETURNING id';
-    var params = [uri, that.notificationUsername, that.notificationPassword];
-    client.query(query, params, function(err, result) {
-      if (err) {
-        done();
-        return callback(err);
-      }
+  var attempt = function() {
+    if (that._signal && that._signal.aborted) return callback(errors.aborted(opts.method, uri));
+    if (that._deadline && Date.now() >= that._deadline) return callback(errors.timedOut(opts.method, uri, 0));
+
+    var breaker = that.circuitBreaker;
+    if (breaker && !breaker.allow()) {
+      var message = 'Circuit breaker is open, not sending ' + opts.method + ' ' + opts.path;
+      return callback(new errors.CircuitOpenError(message, {method: opts.method, uri: uri}));
+    }
 
-      var notificationId = result.rows[0].id;
+    attempts++;
+    that._send(opts, attempts, function(err, response, body) {
+      if (breaker && (err instanceof errors.AbortError || err instanceof errors.FixtureError)) {
+        breaker.cancel();
+      } else if (breaker) {
+        breaker.record(err);
+      }
+      if (err && that.retryPolicy.shouldRetry(err, attempts, idempotent)) {
+        var delay = that.retryPolicy.delay(attempts);
 
-      var query = 'INSERT INTO notification_servers_applications (notification_servers_id, applications_id) VALUES ($1, $2)';
-      var params = [notificationId, applicationId];
-      client.query(query, params, function(err) {
-        done();
-        if (err) return callback(err);
+        // A retry that can't start before the deadline would only time out.
+        if (!that._deadline || Date.now() + delay < that._deadline) {
+          that.emit('retry', that._requestEvent(opts.method, uri, {attempt: attempts, error: err, delay: delay}));
+          return setTimeout(attempt, delay);
+        }
+      }
 
-        return callback(null);
-      });
+      return callback(err, response, body);
     });
+  };
+  attempt();
+};
+
+/*
+ * Sends a request with _request and parses the JSON body of the response.
+ *
+ * @param {object} opts                     Same as _request
+ * @param {function} callback               Callback when complete (err, data, response)
+ * @returns {CleanSpeakError} err           Error if the request fails, returns a status other than 200 or returns a
+ *                                            body that is not JSON
+ */
+CleanSpeak.prototype._requestJSON = function(opts, callback) {
+  var uri = url.resolve(this.host, opts.path);
+
+  this._request(opts, function(err, response, body) {
+    if (err) return callback(err);
+
+    var data;
+    try {
+      data = JSON.parse(body);
+    } catch(e) {
+      return callback(errors.unparsable(response, opts.method, uri, e));
+    }
+    return callback(null, data, response);
   });
 };
 
 /*
- * Parses the response from Cleanspeak and simplifies to a smaller result.
+ * Sends a single HTTP request to CleanSpeak. The timeout and the call's signal are enforced here as well as passed
+ * to the transport, so a transport that ignores them can't hold up the call.
  *
- * @returns result.filtered     true if text was filtered, false if not
- * @returns result.replacement  filtered text if filtered, original text if not
+ * @param {object} opts                     Same as _request
+ * @param {number} attempt                  1 for the first attempt, 2 for the first retry and so on
+ * @param {function} callback               Callback when complete (err, response, body)
+ * @returns {CleanSpeakError} err           Error if the request fails or returns a status other than 200
+ */
+CleanSpeak.prototype._send = function(opts, attempt, callback) {
+  var that = this;
+  var uri = url.resolve(this.host, opts.path);
+  var timeout = this._requestTimeout();
+  var signal = this._signal;
+  var timer;
+  var headers = {};
+  if (this.authToken) headers.Authentication = this.authToken;
+  var request = {method: opts.method, uri: uri, headers: headers, timeout: timeout};
+  if (opts.body) {
+    headers['Content-Type'] = 'application/json';
+    request.body = JSON.stringify(opts.body);
+  }
+  if (signal) request.signal = signal;
+
+  var event = {attempt: attempt, headers: redactHeaders(headers)};
+  var sentAt = Date.now();
+  var done = _.once(function(err, response) {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+
+    var outcome = _.assign({latency: Date.now() - sentAt}, event);
+    if (err) {
+      if (err.statusCode) outcome.statusCode = err.statusCode;
+      outcome.error = err;
+      if (that.listeners('error').length) that.emit('error', that._requestEvent(opts.method, uri, outcome));
+      return callback(err);
+    }
+
+    outcome.statusCode = response.statusCode;
+    that.emit('response', that._requestEvent(opts.method, uri, outcome));
+    return callback(null, response, response.body);
+  });
+  function onAbort() {
+    done(errors.aborted(opts.method, uri));
+  }
+
+  if (timeout) {
+    timer = setTimeout(function() {
+      done(errors.timedOut(opts.method, uri, timeout));
+    }, timeout);
+  }
+  if (signal) signal.addEventListener('abort', onAbort);
+
+  this.emit('request', this._requestEvent(opts.method, uri, event));
+  this.transport.send(request, function(err, response) {
+    if (err && err.code === 'ETIMEDOUT') return done(errors.timedOut(opts.method, uri, timeout, err));
+    if (err) return done(errors.fromTransport(err, opts.method, uri));
+    if (response.statusCode !== 200) return done(that._convertErrors(response, opts.method, uri));
+
+    return done(null, response);
+  });
+};
+
+/*
+ * Returns the client a call runs with: its own view of the client, so every request it makes is reported under its
+ * name, and every request it makes, including those made by the methods it calls, shares its deadline and can be
+ * cancelled.
  *
+ * @param {string} operation                Name of the method being called
+ * @param {number} opts.timeout             Milliseconds the call may take (optional)
+ * @param {AbortSignal} opts.signal         Signal that cancels the call (optional)
+ * @returns {CleanSpeak}
  */
-CleanSpeak.prototype._convertFilterResponse = function(body) {
-  var jsonData = JSON.parse(body);
-  if (jsonData.matches) {
-    return {filtered: true, replacement: jsonData.replacement};
-  } else {
-    return {filtered: false, replacement: jsonData.replacement};
+CleanSpeak.prototype._forCall = function(operation, opts) {
+  var call = Object.create(this);
+  call._operation = operation;
+  call._signal = opts.signal || this._signal;
+  call._deadline = this._deadline;
+  if (opts.timeout) call._deadline = Math.min(this._deadline || Infinity, Date.now() + opts.timeout);
+  if (this.notificationServers instanceof ApiNotificationServers) {
+    call.notificationServers = new ApiNotificationServers(call);
   }
+  return call;
 };
 
 /*
- * Parses the response from Cleanspeak and pulls the error message
+ * Returns the client that undoes a call's earlier steps after a later one failed. It reports under the call's name but
+ * has neither the call's deadline nor its signal: running out of time or being cancelled is often why the steps need
+ * undoing, and stopping halfway would leave behind what the call created.
  *
- * @returns {obj} error.statusCode         Human-readable error message
+ * @returns {CleanSpeak}
  */
-CleanSpeak.prototype._convertErrors = function(response) {
-  try {
-    var jsonData = JSON.parse(response.body);
-    return JSON.stringify({
-      statusCode: response.statusCode,
-      message: jsonData
+CleanSpeak.prototype._forRollback = function() {
+  var client = this;
+  while (client.hasOwnProperty('_operation')) client = Object.getPrototypeOf(client);
+
+  return client._forCall(this._operation, {});
+};
+
+/*
+ * Builds the object passed to request, response, error and retry listeners.
+ *
+ * @param {string} method                   HTTP method
+ * @param {string} uri                      URI of the request
+ * @param {object} details                  Fields for this event, such as attempt, statusCode and latency
+ * @returns {object}
+ */
+CleanSpeak.prototype._requestEvent = function(method, uri, details) {
+  return _.assign({operation: this._operation || null, method: method, uri: uri}, details);
+};
+
+/*
+ * Milliseconds the next request may take: the client's timeout, or less if the call's deadline is sooner. 0 for no
+ * limit.
+ */
+CleanSpeak.prototype._requestTimeout = function() {
+  if (!this._deadline) return this.timeout;
+
+  var remaining = Math.max(this._deadline - Date.now(), 1);
+  return this.timeout ? Math.min(this.timeout, remaining) : remaining;
+};
+
+/*
+ * Whether the circuit breaker is open and configured to fall back to disabled behaviour.
+ */
+CleanSpeak.prototype._fallingBack = function() {
+  return !!this.circuitBreaker && this.circuitBreaker.fallback && this.circuitBreaker.isOpen();
+};
+
+/*
+ * Adds a call to the queue, to be sent later by a QueueWorker.
+ *
+ * @param {string} method                   Name of the queued method (moderate, flagContent, deleteContent or
+ *                                            addUser)
+ * @param {array} args                      Arguments for the method, without the callback
+ * @param {function} callback               Callback once the job is stored in the queue (err)
+ * @returns {CleanSpeakError} err           Error if one occurs
+ */
+CleanSpeak.prototype._addQueue = function(method, args, callback) {
+  var job = {
+    id: crypto.randomBytes(16).toString('hex'),
+    method: method,
+    args: args
+  };
+  this.queue.push(job, function(err) {
+    if (err) return callback(err);
+
+    return callback(null);
+  });
+};
+
+/*
+ * Sends a queued job to the server. Called by QueueWorker.
+ *
+ * @param {object} job                      Job as stored by _addQueue
+ * @param {function} callback               Callback when complete (err)
+ * @returns {CleanSpeakError} err           Error if one occurs
+ */
+CleanSpeak.prototype._runQueued = function(job, callback) {
+  if (!_.has(QUEUED_METHODS, job.method)) {
+    return callback(errors.invalidField('method', '[invalid]', 'Unknown queued method: ' + job.method));
+  }
+
+  var call = this._forCall(job.method, {});
+  call['_' + job.method].apply(call, job.args.concat(callback));
+};
+
+/*
+ * Whether a queued job that failed with err can be sent again: jobs whose requests are idempotent can, and others
+ * only if the request certainly never reached the server (see errors.notSent). Called by QueueWorker.
+ *
+ * @param {object} job                      Job as stored by _addQueue
+ * @param {CleanSpeakError} err             Error from the last attempt
+ * @returns {bool}
+ */
+CleanSpeak.prototype._canResend = function(job, err) {
+  return QUEUED_METHODS[job.method] === true || errors.notSent(err);
+};
+
+/*
+ * Builds the URI CleanSpeak should send notifications for a path to, or null if there is no notificationHost.
+ */
+CleanSpeak.prototype._notificationUri = function(path) {
+  if (!this.notificationHost) return null;
+
+  return url.resolve(this.notificationHost, path || '');
+};
+
+/*
+ * Converts createNotificationServer's options into a server for the adapter.
+ */
+CleanSpeak.prototype._notificationServerFields = function(opts) {
+  return {
+    url: opts.url || (opts.path ? this._notificationUri(opts.path) : null),
+    httpAuthenticationUsername: opts.httpAuthenticationUsername || this.notificationUsername,
+    httpAuthenticationPassword: opts.httpAuthenticationPassword || this.notificationPassword,
+    applicationIds: opts.applicationIds || []
+  };
+};
+
+/*
+ * Creates a notification server for uri and links it to the application.
+ *
+ * @param {string} applicationId            Application ID to link to the server
+ * @param {string} uri                      URI that the notification server will contact on moderation accept/reject
+ * @param {function} callback               Callback when complete (err, server)
+ * @returns {CleanSpeakError} err           Error if one occurs
+ */
+CleanSpeak.prototype._attachNotificationServer = function(applicationId, uri, callback) {
+  this.notificationServers.create({
+    url: uri,
+    httpAuthenticationUsername: this.notificationUsername,
+    httpAuthenticationPassword: this.notificationPassword,
+    applicationIds: [applicationId]
+  }, callback);
+};
+
+/*
+ * Deletes an application created by createApplication after a later step failed, and records the outcome on err.
+ */
+CleanSpeak.prototype._rollbackApplication = function(applicationId, err, callback) {
+  this._forRollback()._request({method: 'DELETE', path: '/system/application/' + applicationId}, function(rollbackErr) {
+    err.rolledBack = !rollbackErr;
+    if (rollbackErr) err.rollbackError = rollbackErr;
+
+    return callback(err);
+  });
+};
+
+/*
+ * Detaches the notification servers linked to an application: servers linked only to it are deleted, and shared
+ * servers are unlinked from it. If one step fails, the servers already detached are restored.
+ *
+ * @param {string} applicationId            Application ID
+ * @param {function} callback               Callback when complete (err, detached)
+ * @returns {CleanSpeakError} err           Error if one occurs
+ * @returns detached.deleted                Servers deleted, as they were before
+ * @returns detached.unlinked               Servers unlinked, as they were before
+ */
+CleanSpeak.prototype._detachNotificationServers = function(applicationId, callback) {
+  var that = this;
+  var detached = {deleted: [], unlinked: []};
+
+  this.notificationServers.list(function(err, servers) {
+    if (err) return callback(err);
+
+    var linked = _.filter(servers, function(server) {
+      return _.contains(server.applicationIds, applicationId);
     });
-  } catch(e) {
-    return JSON.stringify({
-      statusCode: response.statusCode,
-      message: response.body
+    eachSeries(linked, function(server, next) {
+      var others = _.without(server.applicationIds, applicationId);
+
+      if (!others.length) {
+        return that.notificationServers.remove(server.id, function(err) {
+          if (!err) detached.deleted.push(server);
+          return next(err);
+        });
+      }
+      that.notificationServers.update(server.id, _.assign({}, server, {applicationIds: others}), function(err) {
+        if (!err) detached.unlinked.push(server);
+        return next(err);
+      });
+    }, function(err) {
+      if (err) return that._restoreNotificationServers(detached, err, callback);
+
+      return callback(null, detached);
     });
+  });
+};
 
-  }
+/*
+ * Undoes _detachNotificationServers after a later step failed, and records the outcome on err.
+ */
+CleanSpeak.prototype._restoreNotificationServers = function(detached, err, callback) {
+  var that = this._forRollback();
+  var steps = _.map(detached.deleted, function(server) {
+    return function(next) {
+      that.notificationServers.create(_.omit(server, 'id'), next);
+    };
+  }).concat(_.map(detached.unlinked, function(server) {
+    return function(next) {
+      that.notificationServers.update(server.id, server, next);
+    };
+  }));
+
+  eachSeries(steps, function(step, next) {
+    step(next);
+  }, function(rollbackErr) {
+    err.rolledBack = !rollbackErr;
+    if (rollbackErr) err.rollbackError = rollbackErr;
+
+    return callback(err);
+  });
+};
+
+/*
+ * Result of filter() when CleanSpeak is not used: the local filter's result if there is one, otherwise the content
+ * unchanged.
+ */
+CleanSpeak.prototype._filterLocally = function(content, opts) {
+  if (this.localFilter) return this.localFilter.filter(content, opts);
+
+  return filterResult.build(content, []);
+};
+
+/*
+ * Whether a failed filter request should be answered by the local filter. Only failures that mean the server is
+ * unavailable qualify; a rejected request is still an error.
+ */
+CleanSpeak.prototype._fallsBackLocally = function(err) {
+  if (!this.localFilter || !this.localFilter.fallback) return false;
+
+  return err instanceof errors.ServerError || err instanceof errors.TransportError ||
+    err instanceof errors.CircuitOpenError;
+};
+
+/*
+ * Builds the filter section of a filter request from the options passed to filter().
+ *
+ * @returns {object}            Filter configuration, or null if no options were given
+ */
+CleanSpeak.prototype._buildFilterOptions = function(opts) {
+  var blacklist = {};
+  if (opts.severity) blacklist.severity = opts.severity;
+  if (opts.categories) blacklist.tags = opts.categories;
+  if (opts.locale) blacklist.locales = [opts.locale];
+
+  var filter = {};
+  if (!_.isEmpty(blacklist)) filter.blacklist = _.assign({enabled: true}, blacklist);
+  if (opts.replaceCharacter) filter.characterReplacement = opts.replaceCharacter;
+  _.each(['emails', 'phoneNumbers', 'urls'], function(option) {
+    if (opts[option]) filter[option] = {enabled: true};
+  });
+
+  return _.isEmpty(filter) ? null : filter;
 };
 
+/*
+ * Turns the parsed response from Cleanspeak into a filter result.
+ *
+ * @returns result.filtered     true if text was filtered, false if not
+ * @returns result.replacement  filtered text if filtered, original text if not
+ * @returns result.matches      Normalized matches
+ * @returns result.severity     Highest severity of any match
+ *
+ */
+CleanSpeak.prototype._convertFilterResponse = function(data) {
+  return filterResult.build(data.replacement, data.matches);
+};
+
+/*
+ * Parses an error response from Cleanspeak.
+ *
+ * @param {object} response                 Response with a non-200 status code
+ * @param {string} method                   HTTP method of the request
+ * @param {string} uri                      URI of the request
+ * @returns {CleanSpeakError} error         Subclass matching the status code, with statusCode, fieldErrors and
+ *                                            generalErrors parsed from the body
+ */
+CleanSpeak.prototype._convertErrors = function(response, method, uri) {
+  return errors.fromResponse(response, method, uri);
+};
+
+CleanSpeak.MemoryQueue = MemoryQueue;
+CleanSpeak.FileQueue = FileQueue;
+CleanSpeak.QueueWorker = QueueWorker;
+CleanSpeak.USER_ACTIONS = USER_ACTIONS;
+CleanSpeak.SEVERITIES = filterResult.SEVERITIES;
+CleanSpeak.PART_TYPES = validation.PART_TYPES;
+CleanSpeak.LRUCache = LRUCache;
+CleanSpeak.LocalFilter = LocalFilter;
+CleanSpeak.Metrics = Metrics;
+CleanSpeak.ContentItem = ContentItem;
+CleanSpeak.NotificationReceiver = NotificationReceiver;
+CleanSpeak.FakeServer = FakeServer;
+CleanSpeak.FilterStream = FilterStream;
+CleanSpeak.ApiNotificationServers = ApiNotificationServers;
+CleanSpeak.PostgresNotificationServers = PostgresNotificationServers;
+CleanSpeak.HttpTransport = HttpTransport;
+CleanSpeak.RecordingTransport = RecordingTransport;
+CleanSpeak.ReplayTransport = ReplayTransport;
+CleanSpeak.RetryPolicy = RetryPolicy;
+CleanSpeak.CircuitBreaker = CircuitBreaker;
+CleanSpeak.CleanSpeakError = errors.CleanSpeakError;
+CleanSpeak.ValidationError = errors.ValidationError;
+CleanSpeak.AuthenticationError = errors.AuthenticationError;
+CleanSpeak.NotFoundError = errors.NotFoundError;
+CleanSpeak.ServerError = errors.ServerError;
+CleanSpeak.TransportError = errors.TransportError;
+CleanSpeak.TimeoutError = errors.TimeoutError;
+CleanSpeak.AbortError = errors.AbortError;
+CleanSpeak.CircuitOpenError = errors.CircuitOpenError;
+CleanSpeak.FixtureError = errors.FixtureError;
+CleanSpeak.ConfigurationError = errors.ConfigurationError;
+CleanSpeak.DatabaseError = errors.DatabaseError;
+
 module.exports = CleanSpeak;
\ No newline at end of file
@@ -0,0 +1,88 @@
+'use strict';
+var errors = require('./errors');
+
+var CLOSED = 'closed';
+var OPEN = 'open';
+var HALF_OPEN = 'half-open';
+
+/*
+ * Stops sending requests to a server that keeps failing. After failureThreshold consecutive failures the breaker
+ * opens and requests fail fast. Once resetTimeout has passed, a single trial request is let through: if it
+ * succeeds the breaker closes, otherwise it opens again. A trial that has not finished after another resetTimeout is
+ * given up on, and the next request becomes the trial, so a hung request can't keep the breaker open.
+ *
+ * Only server errors and transport errors count as failures; a 4xx means the server is up.
+ *
+ * @param {number} opts.failureThreshold    Consecutive failures before the breaker opens (default 5)
+ * @param {number} opts.resetTimeout        Milliseconds to wait before letting a trial request through (default 30000)
+ * @param {bool} opts.fallback              When true, methods behave as if enabled were false while the breaker is
+ *                                            open, instead of returning a CircuitOpenError (default false)
+ */
+function CircuitBreaker(opts) {
+  opts = opts || {};
+  this.failureThreshold = opts.failureThreshold || 5;
+  this.resetTimeout = typeof opts.resetTimeout !== 'undefined' ? opts.resetTimeout : 30000;
+  this.fallback = !!opts.fallback;
+  this.state = CLOSED;
+  this.failures = 0;
+  this.openedAt = null;
+  this.trialStartedAt = null;
+}
+
+/*
+ * Whether requests are currently being refused. Does not change the state.
+ */
+CircuitBreaker.prototype.isOpen = function() {
+  if (this.state === HALF_OPEN) return Date.now() - this.trialStartedAt < this.resetTimeout;
+  if (this.state === OPEN) return Date.now() - this.openedAt < this.resetTimeout;
+
+  return false;
+};
+
+/*
+ * Called before each request. Returns false if the request should fail fast.
+ */
+CircuitBreaker.prototype.allow = function() {
+  if (this.state === CLOSED) return true;
+  if (this.isOpen()) return false;
+
+  this.state = HALF_OPEN;
+  this.trialStartedAt = Date.now();
+  return true;
+};
+
+/*
+ * Called with the outcome of each request that allow() let through.
+ *
+ * @param {CleanSpeakError} err         Error from the request, or null
+ */
+CircuitBreaker.prototype.record = function(err) {
+  var failed = err instanceof errors.ServerError || err instanceof errors.TransportError;
+
+  if (!failed) {
+    this.state = CLOSED;
+    this.failures = 0;
+    return;
+  }
+
+  this.failures++;
+  if (this.state === HALF_OPEN || this.failures >= this.failureThreshold) {
+    this.state = OPEN;
+    this.openedAt = Date.now();
+  }
+};
+
+/*
+ * Called instead of record() when the caller cancelled a request that allow() let through, or it never reached a
+ * server. Such a request says nothing about the server, so it is not counted, and a cancelled trial request lets the
+ * next request be the trial.
+ */
+CircuitBreaker.prototype.cancel = function() {
+  if (this.state === HALF_OPEN) this.state = OPEN;
+};
+
+CircuitBreaker.CLOSED = CLOSED;
+CircuitBreaker.OPEN = OPEN;
+CircuitBreaker.HALF_OPEN = HALF_OPEN;
+
+module.exports = CircuitBreaker;
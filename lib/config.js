@@ -0,0 +1,83 @@
+'use strict';
+var _ = require('lodash');
+var errors = require('./errors');
+var validation = require('./validation');
+
+// Settings that can come from the environment, and the variable each is read from.
+var ENVIRONMENT = {
+  host: 'CLEANSPEAK_HOST',
+  authToken: 'CLEANSPEAK_AUTH_TOKEN',
+  databaseUrl: 'CLEANSPEAK_DATABASE_URL',
+  notificationHost: 'CLEANSPEAK_NOTIFICATION_HOST',
+  notificationUsername: 'CLEANSPEAK_NOTIFICATION_USERNAME',
+  notificationPassword: 'CLEANSPEAK_NOTIFICATION_PASSWORD',
+  enabled: 'CLEANSPEAK_ENABLED'
+};
+
+var BOOLEANS = {
+  'true': true, '1': true, yes: true, on: true,
+  'false': false, '0': false, no: false, off: false
+};
+
+/*
+ * Works out the client's settings from its options and the environment, and checks them. Options win over
+ * environment variables.
+ *
+ * @param {object} opts                     Options passed to the constructor
+ * @param {object} env                      Environment variables, usually process.env
+ * @returns {object}                        Frozen settings: host, authToken, databaseUrl, notificationHost,
+ *                                            notificationUsername, notificationPassword, enabled and timeout
+ * @throws {ConfigurationError}             Listing every missing or invalid setting
+ */
+function resolve(opts, env) {
+  var sources = {};
+  var problems = [];
+
+  var settings = _.mapValues(ENVIRONMENT, function(variable, name) {
+    if (!_.isUndefined(opts[name])) return opts[name];
+    if (_.isUndefined(env[variable]) || env[variable] === '') return undefined;
+
+    sources[name] = variable;
+    if (name !== 'enabled') return env[variable];
+
+    var enabled = BOOLEANS[env[variable].toLowerCase()];
+    if (_.isUndefined(enabled)) {
+      problems.push({field: 'enabled', code: '[invalid]', message: variable + ' must be true or false'});
+      return true;
+    }
+    return enabled;
+  });
+  if (_.isUndefined(settings.enabled)) settings.enabled = true;
+  settings.timeout = opts.timeout || 0;
+
+  problems = problems.concat(_.map(validation.check('config', settings), function(problem) {
+    var source = sources[problem.field];
+    return source ? _.assign({}, problem, {message: problem.message + ' (from ' + source + ')'}) : problem;
+  }));
+
+  // A disabled client never sends anything, so it can go without a host.
+  if (settings.enabled && !settings.host) {
+    problems.push({field: 'host', code: '[missing]', message: 'host is required (pass opts.host or set ' +
+      ENVIRONMENT.host + ')'});
+  }
+  if (Boolean(settings.notificationUsername) !== Boolean(settings.notificationPassword)) {
+    problems.push({field: settings.notificationUsername ? 'notificationPassword' : 'notificationUsername',
+      code: '[missing]', message: 'notificationUsername and notificationPassword must be set together'});
+  }
+  if (opts.notificationServers === 'postgres' && !settings.databaseUrl) {
+    problems.push({field: 'databaseUrl', code: '[missing]', message: 'databaseUrl is required for the postgres ' +
+      'notification server adapter (pass opts.databaseUrl or set ' + ENVIRONMENT.databaseUrl + ')'});
+  } else if (_.isString(opts.notificationServers) && opts.notificationServers !== 'postgres') {
+    problems.push({field: 'notificationServers', code: '[invalid]',
+      message: 'notificationServers must be \'postgres\' or an adapter'});
+  }
+
+  if (problems.length) throw errors.invalidConfig(problems);
+
+  return Object.freeze(settings);
+}
+
+module.exports = {
+  resolve: resolve,
+  ENVIRONMENT: ENVIRONMENT
+};
@@ -0,0 +1,165 @@
+'use strict';
+var _ = require('lodash');
+var errors = require('./errors');
+
+// Links in text: http or https up to the next space, quote or angle bracket.
+var HYPERLINK = /https?:\/\/[^\s<>"']+/gi;
+// Punctuation that usually ends the sentence around a link rather than the link itself.
+var TRAILING_PUNCTUATION = /[.,!?;:)]+$/;
+
+/*
+ * Builds a content item for moderate, one part at a time. Every setter returns the item, so calls can be chained:
+ *
+ *   var item = new CleanSpeak.ContentItem(contentId)
+ *     .sender(userId, 'Bob')
+ *     .application(applicationId)
+ *     .text('comment', 'Look at http://example.com')
+ *     .image('photo', 'http://example.com/photo.jpg')
+ *     .requiresApproval()
+ *     .extractHyperlinks();
+ *   cleanSpeak.moderate(item);
+ *
+ * Part names must be unique; adding a second part with the same name throws a ValidationError.
+ *
+ * @param {uuid} contentId                  UUID for the content
+ */
+function ContentItem(contentId) {
+  this.parts = [];
+  this.options = {};
+  this.extractsHyperlinks = false;
+  if (contentId) this.options.contentId = contentId;
+}
+
+_.each(['text', 'attribute', 'hyperlink', 'image', 'video', 'audio'], function(type) {
+  /*
+   * Adds a part of this type. For text and attribute parts, value is the text; for the others, it is a URL.
+   */
+  ContentItem.prototype[type] = function(name, value) {
+    if (_.some(this.parts, {name: name})) {
+      throw errors.invalidField('name', '[duplicate]', 'The content item already has a part named ' + name);
+    }
+
+    this.parts.push({name: name, content: value, type: type});
+    return this;
+  };
+});
+
+/*
+ * Sets the user who owns the content.
+ */
+ContentItem.prototype.sender = function(senderId, displayName) {
+  this.options.senderId = senderId;
+  if (displayName) this.options.senderDisplayName = displayName;
+  return this;
+};
+
+/*
+ * Sets the application the content belongs to.
+ */
+ContentItem.prototype.application = function(applicationId) {
+  this.options.applicationId = applicationId;
+  return this;
+};
+
+/*
+ * Sends the content to the moderation queue even if no filter matches.
+ */
+ContentItem.prototype.requiresApproval = function() {
+  this.options.requiresApproval = true;
+  return this;
+};
+
+/*
+ * Sends the content to the alert queue.
+ */
+ContentItem.prototype.generatesAlert = function() {
+  this.options.generatesAlert = true;
+  return this;
+};
+
+/*
+ * Adds a hyperlink part for each link in the text parts when the item is built, so moderators see the links and
+ * CleanSpeak can check them. Links already added as hyperlink parts are not added again.
+ *
+ * @param {bool} enabled                    Defaults to true
+ */
+ContentItem.prototype.extractHyperlinks = function(enabled) {
+  this.extractsHyperlinks = enabled !== false;
+  return this;
+};
+
+/*
+ * @returns {array}                         Parts for moderate's content argument
+ */
+ContentItem.prototype.toParts = function() {
+  var parts = _.map(this.parts, _.clone);
+  if (!this.extractsHyperlinks) return parts;
+
+  var names = _.pluck(parts, 'name');
+  var urls = _.pluck(_.filter(parts, {type: 'hyperlink'}), 'content');
+  _.each(_.filter(this.parts, {type: 'text'}), function(part) {
+    // Content that isn't a string is left for moderate's validation to report.
+    if (!_.isString(part.content)) return;
+
+    var count = 0;
+    _.each(part.content.match(HYPERLINK) || [], function(url) {
+      url = url.replace(TRAILING_PUNCTUATION, '');
+      if (_.contains(urls, url)) return;
+
+      var name;
+      do {
+        name = part.name + '-hyperlink-' + (++count);
+      } while (_.contains(names, name));
+
+      names.push(name);
+      urls.push(url);
+      parts.push({name: name, content: url, type: 'hyperlink'});
+    });
+  });
+  return parts;
+};
+
+/*
+ * @returns {object}                        Options for moderate's opts argument
+ */
+ContentItem.prototype.toOptions = function() {
+  return _.clone(this.options);
+};
+
+/*
+ * @returns {object}                        Request body moderate sends for this item
+ */
+ContentItem.prototype.toBody = function() {
+  return moderationBody(this.toParts(), this.options);
+};
+
+/*
+ * Builds the request body for moderating content.
+ *
+ * @param {array} parts                     Parts of the content
+ * @param {object} opts                     Same as moderate's opts
+ * @returns {object}                        Request body
+ */
+function moderationBody(parts, opts) {
+  var queueOption = null;
+  if (opts.generatesAlert) {
+    queueOption = 'generatesAlert';
+  } else if (opts.requiresApproval) {
+    queueOption = 'requiresApproval';
+  }
+
+  return {
+    content: {
+      applicationId: opts.applicationId,
+      createInstant: new Date().valueOf(),
+      parts: parts,
+      senderId: opts.senderId,
+      senderDisplayName: opts.senderDisplayName
+    },
+    moderation: queueOption
+  };
+}
+
+ContentItem.moderationBody = moderationBody;
+
+module.exports = ContentItem;
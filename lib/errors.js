@@ -0,0 +1,320 @@
+'use strict';
+var util = require('util');
+var _ = require('lodash');
+
+// Codes of connection errors raised before anything was written to the server.
+var NOT_CONNECTED_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/*
+ * Base class for every error returned by the library.
+ *
+ * @param {string} message                  Human-readable error message
+ * @param {number} opts.statusCode          HTTP status code returned by CleanSpeak, if any
+ * @param {object} opts.fieldErrors         CleanSpeak field errors, keyed by field name: {field: [{code, message}]}
+ * @param {array} opts.generalErrors        CleanSpeak general errors: [{code, message}]
+ * @param {string} opts.method              HTTP method of the failed request
+ * @param {string} opts.uri                 URI of the failed request
+ * @param {*} opts.body                     Response body (parsed if it was JSON)
+ * @param {Error} opts.cause                Underlying error, for transport and database failures
+ */
+function CleanSpeakError(message, opts) {
+  opts = opts || {};
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+
+  this.name = this.constructor.name;
+  this.message = message;
+  this.statusCode = opts.statusCode;
+  this.fieldErrors = opts.fieldErrors || {};
+  this.generalErrors = opts.generalErrors || [];
+  this.method = opts.method;
+  this.uri = opts.uri;
+  this.body = opts.body;
+  this.cause = opts.cause;
+}
+util.inherits(CleanSpeakError, Error);
+
+/*
+ * The request was rejected as invalid (400), or failed client-side checks before it was sent.
+ */
+function ValidationError(message, opts) {
+  CleanSpeakError.call(this, message, opts);
+}
+util.inherits(ValidationError, CleanSpeakError);
+
+/*
+ * The auth token was missing or rejected (401, 403).
+ */
+function AuthenticationError(message, opts) {
+  CleanSpeakError.call(this, message, opts);
+}
+util.inherits(AuthenticationError, CleanSpeakError);
+
+/*
+ * The application, user or content does not exist (404).
+ */
+function NotFoundError(message, opts) {
+  CleanSpeakError.call(this, message, opts);
+}
+util.inherits(NotFoundError, CleanSpeakError);
+
+/*
+ * CleanSpeak failed to handle the request (5xx).
+ */
+function ServerError(message, opts) {
+  CleanSpeakError.call(this, message, opts);
+}
+util.inherits(ServerError, CleanSpeakError);
+
+/*
+ * The request never got a response: connection refused, reset, DNS failure and so on.
+ */
+function TransportError(message, opts) {
+  CleanSpeakError.call(this, message, opts);
+}
+util.inherits(TransportError, CleanSpeakError);
+
+/*
+ * The request got no response within the client's timeout or the call's deadline. A TransportError, so it is retried
+ * and falls back like other failures to reach the server.
+ */
+function TimeoutError(message, opts) {
+  TransportError.call(this, message, opts);
+}
+util.inherits(TimeoutError, TransportError);
+
+/*
+ * The call was cancelled through its AbortSignal.
+ */
+function AbortError(message, opts) {
+  CleanSpeakError.call(this, message, opts);
+}
+util.inherits(AbortError, CleanSpeakError);
+
+/*
+ * The request was not sent because the circuit breaker is open after repeated failures.
+ */
+function CircuitOpenError(message, opts) {
+  CleanSpeakError.call(this, message, opts);
+}
+util.inherits(CircuitOpenError, CleanSpeakError);
+
+/*
+ * A ReplayTransport had no recorded response for the request. It says nothing about the server, so it is never
+ * retried, does not count toward the circuit breaker and does not fall back to the local filter.
+ */
+function FixtureError(message, opts) {
+  CleanSpeakError.call(this, message, opts);
+}
+util.inherits(FixtureError, CleanSpeakError);
+
+/*
+ * The options passed to the constructor, or the CLEANSPEAK_* environment variables, are missing or invalid.
+ */
+function ConfigurationError(message, opts) {
+  CleanSpeakError.call(this, message, opts);
+}
+util.inherits(ConfigurationError, CleanSpeakError);
+
+/*
+ * A query against the CleanSpeak database failed.
+ */
+function DatabaseError(message, opts) {
+  CleanSpeakError.call(this, message, opts);
+}
+util.inherits(DatabaseError, CleanSpeakError);
+
+/*
+ * Builds an error from a non-200 CleanSpeak response.
+ *
+ * @param {object} response                 Response with statusCode and body
+ * @param {string} method                   HTTP method of the request
+ * @param {string} uri                      URI of the request
+ * @returns {CleanSpeakError}               Subclass matching the status code
+ */
+function fromResponse(response, method, uri) {
+  var body = response.body;
+  try {
+    body = JSON.parse(response.body);
+  } catch(e) {
+    // Not every error comes back as JSON; keep the raw text.
+  }
+
+  var opts = {
+    statusCode: response.statusCode,
+    method: method,
+    uri: uri,
+    body: body
+  };
+  if (_.isPlainObject(body)) {
+    opts.fieldErrors = body.fieldErrors;
+    opts.generalErrors = body.generalErrors;
+  }
+
+  var details = _.pluck(_.flatten(_.values(opts.fieldErrors || {}).concat(opts.generalErrors || [])), 'message');
+  if (!details.length && _.isString(body) && body) details = [body];
+  var message = method + ' ' + uri + ' failed with status ' + response.statusCode;
+  if (details.length) message += ': ' + details.join(', ');
+
+  var ErrorClass = CleanSpeakError;
+  if (response.statusCode === 400) {
+    ErrorClass = ValidationError;
+  } else if (response.statusCode === 401 || response.statusCode === 403) {
+    ErrorClass = AuthenticationError;
+  } else if (response.statusCode === 404) {
+    ErrorClass = NotFoundError;
+  } else if (response.statusCode >= 500) {
+    ErrorClass = ServerError;
+  }
+  return new ErrorClass(message, opts);
+}
+
+/*
+ * Wraps an error raised while sending a request. A CleanSpeakError raised by the transport itself, such as a
+ * FixtureError, is returned as it is.
+ *
+ * @param {Error} err                       Error from the HTTP client
+ * @param {string} method                   HTTP method of the request
+ * @param {string} uri                      URI of the request
+ * @returns {CleanSpeakError}               TransportError, or err if it is already a CleanSpeakError
+ */
+function fromTransport(err, method, uri) {
+  if (err instanceof CleanSpeakError) return err;
+
+  return new TransportError(method + ' ' + uri + ' failed: ' + err.message, {
+    method: method,
+    uri: uri,
+    cause: err
+  });
+}
+
+/*
+ * Whether a request that failed with err certainly never reached the server: the circuit breaker held it back, or no
+ * connection could be made, so nothing was written.
+ *
+ * @param {CleanSpeakError} err
+ * @returns {bool}
+ */
+function notSent(err) {
+  if (err instanceof CircuitOpenError) return true;
+
+  return err instanceof TransportError && !!err.cause && _.contains(NOT_CONNECTED_CODES, err.cause.code);
+}
+
+/*
+ * Builds the error for a request that ran out of time.
+ *
+ * @param {string} method                   HTTP method of the request
+ * @param {string} uri                      URI of the request
+ * @param {number} timeout                  Milliseconds the request was given, or 0 if its deadline had already
+ *                                            passed
+ * @param {Error} cause                     Error from the HTTP client, if it was the one to give up (optional)
+ * @returns {TimeoutError}
+ */
+function timedOut(method, uri, timeout, cause) {
+  var message = method + ' ' + uri + ' timed out';
+  if (timeout) message += ' after ' + timeout + 'ms';
+
+  return new TimeoutError(message, {method: method, uri: uri, cause: cause});
+}
+
+/*
+ * Builds the error for a request cancelled through an AbortSignal.
+ *
+ * @param {string} method                   HTTP method of the request
+ * @param {string} uri                      URI of the request
+ * @returns {AbortError}
+ */
+function aborted(method, uri) {
+  return new AbortError(method + ' ' + uri + ' was aborted', {method: method, uri: uri});
+}
+
+/*
+ * Builds the error for a successful response whose body is not the JSON CleanSpeak sends.
+ *
+ * @param {object} response                 Response with statusCode and body
+ * @param {string} method                   HTTP method of the request
+ * @param {string} uri                      URI of the request
+ * @param {Error} cause                     Error from JSON.parse
+ * @returns {CleanSpeakError}
+ */
+function unparsable(response, method, uri, cause) {
+  return new CleanSpeakError(method + ' ' + uri + ' returned a body that is not JSON: ' + cause.message, {
+    statusCode: response.statusCode,
+    method: method,
+    uri: uri,
+    body: response.body,
+    cause: cause
+  });
+}
+
+/*
+ * Builds a ValidationError for a single missing or invalid field, in the same shape CleanSpeak uses.
+ *
+ * @param {string} field                    Name of the field
+ * @param {string} code                     CleanSpeak-style code, such as '[missing]' or '[invalid]'
+ * @param {string} message                  Human-readable error message
+ * @returns {ValidationError}
+ */
+function invalidField(field, code, message) {
+  return invalidFields([{field: field, code: code, message: message}]);
+}
+
+/*
+ * Builds a ValidationError listing several problems, in the same shape CleanSpeak uses.
+ *
+ * @param {array} problems                  Problems, each with field, code and message as for invalidField
+ * @returns {ValidationError}
+ */
+function invalidFields(problems) {
+  var message = problems.length === 1 ?
+    problems[0].message : 'Invalid request: ' + _.pluck(problems, 'message').join(', ');
+  return new ValidationError(message, {fieldErrors: fieldErrors(problems)});
+}
+
+/*
+ * Builds a ConfigurationError listing every missing or invalid setting.
+ *
+ * @param {array} problems                  Problems, each with field, code and message as for invalidField
+ * @returns {ConfigurationError}
+ */
+function invalidConfig(problems) {
+  var message = 'Invalid CleanSpeak configuration: ' + _.pluck(problems, 'message').join(', ');
+  return new ConfigurationError(message, {fieldErrors: fieldErrors(problems)});
+}
+
+// Groups problems by field, in the shape CleanSpeak uses for fieldErrors.
+function fieldErrors(problems) {
+  var result = {};
+  _.each(problems, function(problem) {
+    result[problem.field] = (result[problem.field] || []).concat({
+      code: problem.code + problem.field,
+      message: problem.message
+    });
+  });
+  return result;
+}
+
+module.exports = {
+  CleanSpeakError: CleanSpeakError,
+  ValidationError: ValidationError,
+  AuthenticationError: AuthenticationError,
+  NotFoundError: NotFoundError,
+  ServerError: ServerError,
+  TransportError: TransportError,
+  TimeoutError: TimeoutError,
+  AbortError: AbortError,
+  CircuitOpenError: CircuitOpenError,
+  FixtureError: FixtureError,
+  ConfigurationError: ConfigurationError,
+  DatabaseError: DatabaseError,
+  fromResponse: fromResponse,
+  fromTransport: fromTransport,
+  notSent: notSent,
+  timedOut: timedOut,
+  aborted: aborted,
+  unparsable: unparsable,
+  invalidField: invalidField,
+  invalidFields: invalidFields,
+  invalidConfig: invalidConfig
+};
@@ -0,0 +1,425 @@
+'use strict';
+var http = require('http');
+var url = require('url');
+var crypto = require('crypto');
+var _ = require('lodash');
+var LocalFilter = require('./local-filter');
+
+/*
+ * An in-process stand-in for a CleanSpeak server, for tests that should go through a real socket. It implements the
+ * endpoints this library uses (filter, moderation, flags, content, users, user actions, applications and
+ * notification servers) and keeps everything in memory.
+ *
+ * State is kept in plain objects keyed by ID, so tests can set it up and check it directly: applications, users,
+ * content, statuses (content status by content ID), flags (arrays by content ID), userActions (arrays by user ID)
+ * and notificationServers. requests lists every request received, as {method, path, query, headers, body}.
+ *
+ * Faults can be injected with inject(): slow responses, server errors and auth failures.
+ *
+ * @param {string} opts.authToken           Token requests must send. Without one, every request is accepted.
+ * @param {array} opts.words                Blacklist for the filter endpoint, as for LocalFilter (default none)
+ * @param {number} opts.latency             Milliseconds to wait before every response (default 0)
+ *
+ * Example:
+ *   var server = new CleanSpeak.FakeServer({authToken: 'abc123', words: ['dirty']});
+ *   server.listen(function() {
+ *     var cleanSpeak = new CleanSpeak({host: server.url, authToken: 'abc123'});
+ *     ...
+ *   });
+ */
+function FakeServer(opts) {
+  opts = opts || {};
+
+  this.authToken = opts.authToken;
+  this.latency = opts.latency || 0;
+  this.filter = new LocalFilter({words: opts.words || []});
+  this.url = null;
+  this._server = null;
+  this._sockets = [];
+  this.reset();
+}
+
+/*
+ * Clears all state, recorded requests and injected faults.
+ */
+FakeServer.prototype.reset = function() {
+  this.applications = {};
+  this.users = {};
+  this.content = {};
+  this.statuses = {};
+  this.flags = {};
+  this.userActions = {};
+  this.notificationServers = {};
+  this.requests = [];
+  this.faults = [];
+};
+
+/*
+ * Starts listening on a free port on 127.0.0.1, and sets url.
+ *
+ * @param {function} callback               Callback once listening (err). If omitted, a Promise is returned.
+ */
+FakeServer.prototype.listen = function(callback) {
+  var that = this;
+
+  return withCallback(callback, function(done) {
+    that._server = http.createServer(that._handle.bind(that));
+    that._server.on('connection', function(socket) {
+      that._sockets.push(socket);
+      socket.on('close', function() {
+        that._sockets = _.without(that._sockets, socket);
+      });
+    });
+    that._server.once('error', done);
+    that._server.listen(0, '127.0.0.1', function() {
+      that.url = 'http://127.0.0.1:' + that._server.address().port;
+      done(null);
+    });
+  });
+};
+
+/*
+ * Stops listening and drops open connections.
+ *
+ * @param {function} callback               Callback once closed (err). If omitted, a Promise is returned.
+ */
+FakeServer.prototype.close = function(callback) {
+  var that = this;
+
+  return withCallback(callback, function(done) {
+    if (!that._server) return done(null);
+
+    that._server.close(function() {
+      that._server = null;
+      that.url = null;
+      done(null);
+    });
+    _.invoke(that._sockets, 'destroy');
+  });
+};
+
+/*
+ * Adds a fault. Faults apply to matching requests in the order they were added; the first one that matches is used
+ * up by the request.
+ *
+ * @param {string} fault.method             Only requests with this HTTP method (optional)
+ * @param {string|RegExp} fault.path        Only requests whose path starts with this string, or matches this RegExp
+ *                                            (optional)
+ * @param {number} fault.status             Reply with this status instead of handling the request, such as 503, or
+ *                                            401 for an auth failure (optional)
+ * @param {*} fault.body                    Body to reply with along with status (optional)
+ * @param {number} fault.latency            Milliseconds to wait before replying (optional)
+ * @param {number} fault.times              Number of requests the fault applies to (default every request)
+ *
+ * Example:
+ *   server.inject({path: '/content/item/filter', status: 503, times: 2});
+ *   server.inject({latency: 500});
+ */
+FakeServer.prototype.inject = function(fault) {
+  this.faults.push(_.assign({times: Infinity}, fault));
+};
+
+/*
+ * Records a moderator's decision on a content item, as getContentStatus will report it.
+ *
+ * @param {string} contentId                ID of the content
+ * @param {string} status                   approved, rejected or pending
+ * @param {string} moderatorId              ID of the moderator (optional)
+ */
+FakeServer.prototype.setContentStatus = function(contentId, status, moderatorId) {
+  this.statuses[contentId] = {status: status, moderatorId: moderatorId || null, updateInstant: Date.now()};
+};
+
+/*
+ * Routes: [method, path pattern, handler]. Handlers are called with {params, query, body} and return
+ * [statusCode, body]. More specific paths come first.
+ */
+var ROUTES = [
+  ['POST', /^\/content\/item\/filter$/, function(req) {
+    var filter = req.body.filter || {};
+    var blacklist = filter.blacklist || {};
+    var result = this.filter.filter(req.body.content || '', {
+      severity: blacklist.severity,
+      categories: blacklist.tags,
+      locale: blacklist.locales && blacklist.locales[0],
+      replaceCharacter: filter.characterReplacement
+    });
+    return [200, {replacement: result.replacement, matches: result.matches}];
+  }],
+
+  ['POST', /^\/content\/item\/moderate\/([^\/]+)$/, function(req) {
+    return this._moderate(req.params[0], req.body);
+  }],
+  ['PUT', /^\/content\/item\/moderate\/([^\/]+)$/, function(req) {
+    if (!this.content[req.params[0]]) return notFound('content', req.params[0]);
+
+    return this._moderate(req.params[0], req.body);
+  }],
+  ['POST', /^\/content\/item\/flag\/([^\/]+)$/, function(req) {
+    var id = req.params[0];
+    if (!this.content[id]) return notFound('content', id);
+
+    this.flags[id] = (this.flags[id] || []).concat(req.body.flag || {});
+    return [200, {}];
+  }],
+  ['GET', /^\/content\/item\/status\/([^\/]+)$/, function(req) {
+    if (!this.content[req.params[0]]) return notFound('content', req.params[0]);
+
+    return [200, {status: this.statuses[req.params[0]]}];
+  }],
+  ['GET', /^\/content\/item\/([^\/]+)$/, function(req) {
+    if (!this.content[req.params[0]]) return notFound('content', req.params[0]);
+
+    return [200, {content: this.content[req.params[0]]}];
+  }],
+  ['DELETE', /^\/content\/item\/([^\/]+)$/, function(req) {
+    if (!this.content[req.params[0]]) return notFound('content', req.params[0]);
+
+    delete this.content[req.params[0]];
+    delete this.statuses[req.params[0]];
+    return [200, {}];
+  }],
+
+  ['GET', /^\/content\/user\/search$/, function(req) {
+    var startRow = parseInt(req.query.startRow, 10) || 0;
+    var numberOfResults = parseInt(req.query.numberOfResults, 10) || 25;
+    var criteria = _.omit(req.query, ['startRow', 'numberOfResults', 'orderBy']);
+
+    var users = _.filter(_.values(this.users), function(user) {
+      return _.every(criteria, function(value, field) {
+        return String(user[field] || '').toLowerCase().indexOf(String(value).toLowerCase()) !== -1;
+      });
+    });
+    users = _.sortBy(users, req.query.orderBy || 'id');
+    return [200, {users: users.slice(startRow, startRow + numberOfResults), total: users.length}];
+  }],
+  ['POST', /^\/content\/user\/action\/([^\/]+)$/, function(req) {
+    var userId = req.params[0];
+    if (!this.users[userId]) return notFound('user', userId);
+
+    var action = _.assign({createInstant: Date.now()}, req.body.userAction, {id: uuid()});
+    this.userActions[userId] = (this.userActions[userId] || []).concat(action);
+    return [200, {userAction: action}];
+  }],
+  ['DELETE', /^\/content\/user\/action\/([^\/]+)$/, function(req) {
+    var userId = req.params[0];
+    if (!this.users[userId]) return notFound('user', userId);
+
+    var removal = req.body.userAction || {};
+    _.each(this.userActions[userId], function(action) {
+      if (action.action !== removal.action || action.endInstant) return;
+      if (removal.applicationIds && !_.intersection(action.applicationIds || [], removal.applicationIds).length) return;
+
+      action.endInstant = Date.now();
+    });
+    return [200, {}];
+  }],
+  ['GET', /^\/content\/user\/action\/([^\/]+)$/, function(req) {
+    var userId = req.params[0];
+    if (!this.users[userId]) return notFound('user', userId);
+
+    var applicationIds = req.query.applicationIds && [].concat(req.query.applicationIds);
+    var actions = _.filter(this.userActions[userId] || [], function(action) {
+      return !applicationIds || _.intersection(action.applicationIds || [], applicationIds).length > 0;
+    });
+    return [200, {userActions: actions}];
+  }],
+  ['POST', /^\/content\/user\/([^\/]+)$/, function(req) {
+    return this._saveUser(req.params[0], req.body);
+  }],
+  ['PUT', /^\/content\/user\/([^\/]+)$/, function(req) {
+    if (!this.users[req.params[0]]) return notFound('user', req.params[0]);
+
+    return this._saveUser(req.params[0], req.body);
+  }],
+  ['GET', /^\/content\/user\/([^\/]+)$/, function(req) {
+    if (!this.users[req.params[0]]) return notFound('user', req.params[0]);
+
+    return [200, {user: this.users[req.params[0]]}];
+  }],
+
+  ['GET', /^\/system\/application$/, function() {
+    return [200, {applications: _.values(this.applications)}];
+  }],
+  ['POST', /^\/system\/application(?:\/([^\/]+))?$/, function(req) {
+    var id = req.params[0] || uuid();
+    if (this.applications[id]) return duplicate('application', id);
+
+    var application = req.body.application || {};
+    this.applications[id] = {
+      id: id,
+      name: application.name,
+      moderationConfiguration: application.moderationConfiguration || {}
+    };
+    return [200, {application: this.applications[id]}];
+  }],
+  ['GET', /^\/system\/application\/([^\/]+)$/, function(req) {
+    if (!this.applications[req.params[0]]) return notFound('application', req.params[0]);
+
+    return [200, {application: this.applications[req.params[0]]}];
+  }],
+  ['PUT', /^\/system\/application\/([^\/]+)$/, function(req) {
+    var existing = this.applications[req.params[0]];
+    if (!existing) return notFound('application', req.params[0]);
+
+    var application = req.body.application || {};
+    if (application.name) existing.name = application.name;
+    _.assign(existing.moderationConfiguration, application.moderationConfiguration);
+    return [200, {application: existing}];
+  }],
+  ['DELETE', /^\/system\/application\/([^\/]+)$/, function(req) {
+    if (!this.applications[req.params[0]]) return notFound('application', req.params[0]);
+
+    delete this.applications[req.params[0]];
+    return [200, {}];
+  }],
+
+  ['GET', /^\/system\/notification-server$/, function() {
+    return [200, {notificationServers: _.values(this.notificationServers)}];
+  }],
+  ['POST', /^\/system\/notification-server$/, function(req) {
+    var id = uuid();
+    this.notificationServers[id] = _.assign({applicationIds: []}, req.body.notificationServer, {id: id});
+    return [200, {notificationServer: this.notificationServers[id]}];
+  }],
+  ['GET', /^\/system\/notification-server\/([^\/]+)$/, function(req) {
+    if (!this.notificationServers[req.params[0]]) return notFound('notification server', req.params[0]);
+
+    return [200, {notificationServer: this.notificationServers[req.params[0]]}];
+  }],
+  ['PUT', /^\/system\/notification-server\/([^\/]+)$/, function(req) {
+    var id = req.params[0];
+    if (!this.notificationServers[id]) return notFound('notification server', id);
+
+    this.notificationServers[id] = _.assign({applicationIds: []}, req.body.notificationServer, {id: id});
+    return [200, {notificationServer: this.notificationServers[id]}];
+  }],
+  ['DELETE', /^\/system\/notification-server\/([^\/]+)$/, function(req) {
+    if (!this.notificationServers[req.params[0]]) return notFound('notification server', req.params[0]);
+
+    delete this.notificationServers[req.params[0]];
+    return [200, {}];
+  }]
+];
+
+/*
+ * Stores a content item. Content that matches the blacklist, or is sent for approval or as an alert, waits for a
+ * moderator; everything else is approved straight away.
+ */
+FakeServer.prototype._moderate = function(id, body) {
+  var that = this;
+  var item = _.assign({}, body.content, {id: id});
+  var matched = _.some(item.parts, function(part) {
+    return part.type === 'text' && that.filter.filter(part.content || '').filtered;
+  });
+  var queued = matched || !!body.moderation;
+
+  this.content[id] = item;
+  this.statuses[id] = {status: queued ? 'pending' : 'approved', moderatorId: null, updateInstant: Date.now()};
+  return [200, {content: item, contentAction: queued ? 'queuedForApproval' : 'allow'}];
+};
+
+FakeServer.prototype._saveUser = function(id, body) {
+  this.users[id] = _.assign({createInstant: Date.now()}, this.users[id], body.user, {id: id});
+  return [200, {user: this.users[id]}];
+};
+
+FakeServer.prototype._handle = function(req, res) {
+  var that = this;
+  var parsed = url.parse(req.url, true);
+  var fault = this._takeFault(req.method, parsed.pathname);
+  var latency = this.latency + (fault && fault.latency || 0);
+
+  readJson(req, function(err, body) {
+    that.requests.push({method: req.method, path: parsed.pathname, query: parsed.query, headers: req.headers,
+      body: body});
+
+    setTimeout(function() {
+      if (err) return reply(res, 400, {generalErrors: [{code: '[invalidJSON]', message: 'Invalid JSON'}]});
+      if (!that._authorized(req.headers)) return reply(res, 401, '');
+      if (fault && fault.status) return reply(res, fault.status, _.isUndefined(fault.body) ? '' : fault.body);
+
+      var route = _.find(ROUTES, function(route) {
+        return route[0] === req.method && route[1].test(parsed.pathname);
+      });
+      if (!route) return reply(res, 404, '');
+
+      var params = _.map(route[1].exec(parsed.pathname).slice(1), function(param) {
+        return param && decodeURIComponent(param);
+      });
+      var result = route[2].call(that, {params: params, query: parsed.query, body: body || {}});
+      return reply(res, result[0], result[1]);
+    }, latency);
+  });
+};
+
+FakeServer.prototype._takeFault = function(method, path) {
+  var fault = _.find(this.faults, function(fault) {
+    if (fault.method && fault.method !== method) return false;
+    if (_.isRegExp(fault.path)) return fault.path.test(path);
+
+    return !fault.path || path.indexOf(fault.path) === 0;
+  });
+  if (!fault) return null;
+
+  if (--fault.times <= 0) this.faults = _.without(this.faults, fault);
+  return fault;
+};
+
+FakeServer.prototype._authorized = function(headers) {
+  if (!this.authToken) return true;
+
+  return (headers.authentication || headers.authorization) === this.authToken;
+};
+
+function notFound(type, id) {
+  return [404, {generalErrors: [{code: '[notFound]', message: 'No ' + type + ' with id ' + id}]}];
+}
+
+function duplicate(type, id) {
+  var fieldErrors = {id: [{code: '[duplicate]id', message: 'An ' + type + ' with id ' + id + ' already exists'}]};
+  return [400, {fieldErrors: fieldErrors}];
+}
+
+function uuid() {
+  var hex = crypto.randomBytes(16).toString('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), '4' + hex.slice(13, 16), '8' + hex.slice(17, 20), hex.slice(20)]
+    .join('-');
+}
+
+function readJson(req, callback) {
+  var chunks = [];
+  req.on('data', function(chunk) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  });
+  req.on('end', function() {
+    var text = Buffer.concat(chunks).toString('utf8');
+    if (!text) return callback(null, null);
+
+    try {
+      return callback(null, JSON.parse(text));
+    } catch(e) {
+      return callback(e);
+    }
+  });
+}
+
+function reply(res, statusCode, body) {
+  var text = _.isString(body) ? body : JSON.stringify(body);
+  res.writeHead(statusCode, {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text)});
+  res.end(text);
+}
+
+// Calls fn(done), passing its result to callback, or returning it as a Promise if there is no callback.
+function withCallback(callback, fn) {
+  if (callback) return fn(callback);
+
+  return new Promise(function(resolve, reject) {
+    fn(function(err) {
+      if (err) return reject(err);
+      return resolve();
+    });
+  });
+}
+
+module.exports = FakeServer;
@@ -0,0 +1,129 @@
+'use strict';
+var _ = require('lodash');
+var errors = require('./errors');
+var filterResult = require('./filter-result');
+
+var ACTIONS = ['replace', 'reject', 'annotate'];
+
+/*
+ * Creates Express/Connect middleware that runs fields of req.body through a client's filter().
+ *
+ * Fields are named by path: 'comment', 'profile.bio', 'tags[]' (every item of an array) or 'posts[].title'. Each
+ * field gets an action:
+ *   replace        Replace the text with the filtered replacement
+ *   reject         Reply 422 if the text matches at or above the severity threshold, with fieldErrors in the same
+ *                    shape CleanSpeak uses, keyed by the concrete path such as 'posts[1].title'
+ *   annotate       Leave the text alone
+ * Whatever the action, the filter result for every field is put on req.cleanspeak, keyed by the concrete path.
+ *
+ * Only string values are filtered; missing fields and other values are skipped. While the client is disabled, fields
+ * get filter()'s disabled-mode result, so nothing is replaced or rejected unless it has a localFilter. A request that
+ * can't be filtered is passed to next(err).
+ *
+ * @param {CleanSpeak} client               Client to filter with
+ * @param {object|array} fields             Map of path to action, or to {action, severity} to override the threshold
+ *                                            for that field. An array of paths uses opts.action for each.
+ * @param {string} opts.action              Action for fields that don't name one (default 'replace')
+ * @param {string} opts.severity            Lowest severity that is rejected (default 'mild', any match)
+ * @param {object} opts.filter              Options passed to filter(), such as categories or locale (optional)
+ * @param {number} opts.concurrency         Maximum number of filter requests in flight per request (default 5)
+ * @returns {function}                      Middleware (req, res, next)
+ *
+ * Example:
+ *   app.post('/comments', cleanSpeak.filterMiddleware({
+ *     'text': 'replace',
+ *     'author.displayName': {action: 'reject', severity: 'medium'}
+ *   }), function(req, res) { ... });
+ */
+function filterMiddleware(client, fields, opts) {
+  opts = opts || {};
+
+  var rules = _.map(_.isArray(fields) ? _.zipObject(fields, []) : fields, function(rule, path) {
+    if (!_.isPlainObject(rule)) rule = {action: rule};
+    var action = rule.action || opts.action || 'replace';
+    if (!_.contains(ACTIONS, action)) {
+      throw errors.invalidField(path, '[invalid]', 'Unknown action for ' + path + ': ' + action);
+    }
+
+    return {
+      segments: parsePath(path),
+      action: action,
+      severity: rule.severity || opts.severity || 'mild'
+    };
+  });
+  var filterOpts = _.assign({concurrency: opts.concurrency || 5}, opts.filter);
+
+  return function(req, res, next) {
+    req.cleanspeak = {};
+
+    var targets = _.flatten(_.map(rules, function(rule) {
+      return _.map(resolve(req.body, rule.segments, ''), function(target) {
+        return _.assign(target, {rule: rule});
+      });
+    }));
+    if (!targets.length) return next();
+
+    client.filterMany(_.map(targets, 'value'), filterOpts, function(err, results) {
+      var failed = _.find(results, 'error');
+      if (failed) return next(failed.error);
+
+      var rejected = [];
+      _.each(targets, function(target, index) {
+        var result = results[index].result;
+        req.cleanspeak[target.path] = result;
+
+        if (target.rule.action === 'replace') {
+          target.holder[target.key] = result.replacement;
+        } else if (target.rule.action === 'reject' && result.filtered &&
+            filterResult.compareSeverity(result.severity, target.rule.severity) >= 0) {
+          rejected.push(target.path);
+        }
+      });
+      if (!rejected.length) return next();
+
+      var fieldErrors = _.zipObject(rejected, _.map(rejected, function(path) {
+        return [{code: '[inappropriate]' + path, message: path + ' contains inappropriate content'}];
+      }));
+      var body = JSON.stringify({fieldErrors: fieldErrors});
+      res.writeHead(422, {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body)});
+      res.end(body);
+    });
+  };
+}
+
+/*
+ * Splits a path such as 'posts[].title' into ['posts', '[]', 'title'].
+ */
+function parsePath(path) {
+  return _.compact(path.replace(/\[\]/g, '.[].').split('.'));
+}
+
+/*
+ * Finds the string values a path points at.
+ *
+ * @returns {array}             {path, holder, key, value} for each string, where holder[key] is the value and path
+ *                                is the concrete path, such as 'posts[1].title'
+ */
+function resolve(value, segments, path) {
+  if (!segments.length || value === null || typeof value !== 'object') return [];
+
+  var segment = segments[0];
+  var rest = segments.slice(1);
+  if (segment === '[]') {
+    if (!_.isArray(value)) return [];
+
+    return _.flatten(_.map(value, function(item, index) {
+      return step(value, index, rest, path + '[' + index + ']');
+    }), true);
+  }
+  return step(value, segment, rest, path ? path + '.' + segment : segment);
+}
+
+function step(holder, key, rest, path) {
+  if (rest.length) return resolve(holder[key], rest, path);
+  if (!_.isString(holder[key])) return [];
+
+  return [{path: path, holder: holder, key: key, value: holder[key]}];
+}
+
+module.exports = filterMiddleware;
@@ -0,0 +1,72 @@
+'use strict';
+var _ = require('lodash');
+
+// CleanSpeak blacklist severities, lowest first.
+var SEVERITIES = ['none', 'mild', 'medium', 'high', 'severe'];
+
+/*
+ * Compares two severities.
+ *
+ * @returns {number}            Negative if a is lower than b, 0 if equal, positive if higher. Unknown severities rank
+ *                                as 'none'.
+ */
+function compareSeverity(a, b) {
+  return Math.max(SEVERITIES.indexOf(a), 0) - Math.max(SEVERITIES.indexOf(b), 0);
+}
+
+/*
+ * Normalizes a match from a CleanSpeak filter response.
+ *
+ * @returns match.matched       Text that was matched, as it appears in the content
+ * @returns match.root          Blacklist entry that matched
+ * @returns match.severity      One of SEVERITIES
+ * @returns match.start         Offset of the match in the content
+ * @returns match.length        Length of the match
+ * @returns match.locale        Locale of the blacklist entry, or null
+ * @returns match.tags          Tags (categories) of the blacklist entry
+ * @returns match.type          Filter that produced the match, such as 'blacklist' or 'email'
+ * @returns match.quality       Match quality between 0 and 1
+ */
+function normalizeMatch(match) {
+  return {
+    matched: match.matched,
+    root: match.root || match.matched,
+    severity: _.contains(SEVERITIES, match.severity) ? match.severity : 'none',
+    start: match.start || 0,
+    length: typeof match.length === 'number' ? match.length : (match.matched || '').length,
+    locale: match.locale || null,
+    tags: match.tags || [],
+    type: match.type || 'blacklist',
+    quality: typeof match.quality === 'number' ? match.quality : 1
+  };
+}
+
+/*
+ * Builds a filter result.
+ *
+ * @param {string} replacement          Content with matches replaced
+ * @param {array} matches               Raw or normalized matches
+ * @returns result.filtered             true if anything matched
+ * @returns result.replacement          Content with matches replaced
+ * @returns result.matches              Normalized matches
+ * @returns result.severity             Highest severity of any match, 'none' if nothing matched
+ */
+function build(replacement, matches) {
+  matches = _.map(matches || [], normalizeMatch);
+
+  return {
+    filtered: matches.length > 0,
+    replacement: replacement,
+    matches: matches,
+    severity: _.reduce(matches, function(highest, match) {
+      return compareSeverity(match.severity, highest) > 0 ? match.severity : highest;
+    }, 'none')
+  };
+}
+
+module.exports = {
+  SEVERITIES: SEVERITIES,
+  compareSeverity: compareSeverity,
+  normalizeMatch: normalizeMatch,
+  build: build
+};
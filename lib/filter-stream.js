@@ -0,0 +1,198 @@
+'use strict';
+var Transform = require('stream').Transform;
+var util = require('util');
+var _ = require('lodash');
+var errors = require('./errors');
+
+/*
+ * Transform stream that filters messages in micro-batches, for chat and other high-rate traffic. Messages are
+ * collected until a batch is full or the oldest has waited maxWait milliseconds, and each batch is filtered with
+ * filterMany(), so identical messages in a batch are only sent once and requests run side by side. Results come out
+ * in the order the messages went in.
+ *
+ * Once maxBatches batches are waiting on CleanSpeak, or results are waiting for a slow reader, the stream stops
+ * accepting messages until there is room again, so a slow server or reader slows the writer down instead of building
+ * an unbounded backlog.
+ *
+ * Messages are strings, or objects with a content string. Each one produces an object with:
+ *   message            The message as written
+ *   content            The text that was filtered
+ *   result             Filter result, as from filter(), or null if there was an error
+ *   error              Error for this message, or null. A failed message does not stop the stream.
+ *   index              Position of the message in the stream, from 0
+ *   batch              Number of the batch the message was sent in, from 0
+ *   batchSize          Number of messages in that batch
+ *   queuedFor          Milliseconds the message waited for its batch to be sent
+ *   latency            Milliseconds CleanSpeak took to filter the batch
+ *
+ * @param {CleanSpeak} client               Client to filter with
+ * @param {number} opts.maxBatchSize        Most messages in a batch (default 50)
+ * @param {number} opts.maxWait             Most milliseconds a message waits for its batch to fill (default 20)
+ * @param {number} opts.maxBatches          Most batches waiting on CleanSpeak at once (default 2)
+ * @param {number} opts.concurrency         Most filter requests in flight per batch (default 10)
+ * @param {object} opts.filter              Options passed to filter(), such as severity or locale (optional)
+ */
+function FilterStream(client, opts) {
+  opts = opts || {};
+  Transform.call(this, {objectMode: true, highWaterMark: opts.maxBatchSize || 50});
+
+  this.client = client;
+  this.maxBatchSize = opts.maxBatchSize || 50;
+  this.maxWait = typeof opts.maxWait !== 'undefined' ? opts.maxWait : 20;
+  this.maxBatches = opts.maxBatches || 2;
+  this.filterOpts = _.assign({concurrency: opts.concurrency || 10}, opts.filter);
+
+  this._pending = [];
+  this._batches = [];
+  this._inFlight = 0;
+  this._count = 0;
+  this._batchCount = 0;
+  this._timer = null;
+  this._blocked = null;
+  this._readerFull = false;
+  this._finishing = null;
+}
+util.inherits(FilterStream, Transform);
+
+FilterStream.prototype._transform = function(message, encoding, callback) {
+  var that = this;
+
+  this._pending.push({message: message, index: this._count++, receivedAt: Date.now()});
+  if (this._pending.length >= this.maxBatchSize) {
+    this._send();
+  } else if (!this._timer) {
+    this._timer = setTimeout(function() {
+      that._send();
+    }, this.maxWait);
+  }
+
+  if (this._inFlight >= this.maxBatches || this._readerFull) {
+    this._blocked = callback;
+    return;
+  }
+  callback();
+};
+
+FilterStream.prototype._read = function(size) {
+  this._readerFull = false;
+  this._unblock();
+  Transform.prototype._read.call(this, size);
+};
+
+FilterStream.prototype._flush = function(callback) {
+  this._finishing = callback;
+  this._send();
+  this._finished();
+};
+
+/*
+ * Sends the pending messages as a batch.
+ */
+FilterStream.prototype._send = function() {
+  var that = this;
+  clearTimeout(this._timer);
+  this._timer = null;
+  if (!this._pending.length) return;
+
+  var batch = {number: this._batchCount++, items: this._pending, results: null};
+  this._pending = [];
+  this._batches.push(batch);
+  this._inFlight++;
+
+  var contents = _.map(batch.items, function(item) {
+    return _.isString(item.message) ? item.message : item.message && item.message.content;
+  });
+  var valid = _.filter(contents, _.isString);
+  var sentAt = Date.now();
+
+  this.client.filterMany(valid, this.filterOpts, function(err, results) {
+    var latency = Date.now() - sentAt;
+    var next = 0;
+
+    batch.results = _.map(batch.items, function(item, index) {
+      var content = contents[index];
+      var filtered = _.isString(content) ? (results ? results[next++] : {}) : {
+        error: errors.invalidField('content', '[missing]', 'Message ' + item.index + ' has no content to filter'),
+        result: null
+      };
+
+      return {
+        message: item.message,
+        content: _.isString(content) ? content : null,
+        result: err ? null : filtered.result,
+        error: err || filtered.error || null,
+        index: item.index,
+        batch: batch.number,
+        batchSize: batch.items.length,
+        queuedFor: sentAt - item.receivedAt,
+        latency: latency
+      };
+    });
+    that._inFlight--;
+    that._release();
+  });
+};
+
+/*
+ * Pushes finished batches in order, and lets the writer continue if there is room.
+ */
+FilterStream.prototype._release = function() {
+  while (this._batches.length && this._batches[0].results) {
+    var results = this._batches.shift().results;
+    for (var i = 0; i < results.length; i++) {
+      if (!this.push(results[i])) this._readerFull = true;
+    }
+  }
+
+  this._unblock();
+  this._finished();
+};
+
+/*
+ * Lets a held writer continue once there is room for another batch and the reader has caught up.
+ */
+FilterStream.prototype._unblock = function() {
+  if (!this._blocked || this._inFlight >= this.maxBatches || this._readerFull) return;
+
+  var callback = this._blocked;
+  this._blocked = null;
+  callback();
+};
+
+FilterStream.prototype._finished = function() {
+  if (!this._finishing || this._batches.length) return;
+
+  var callback = this._finishing;
+  this._finishing = null;
+  callback();
+};
+
+/*
+ * Filters every message from an iterable or async iterable through a FilterStream, writing no faster than the
+ * stream accepts them.
+ *
+ * @param {CleanSpeak} client               Client to filter with
+ * @param {object} source                   Iterable or async iterable of messages
+ * @param {object} opts                     Same as FilterStream
+ * @returns {FilterStream}                  Readable stream of results, which is also an async iterable
+ */
+FilterStream.iterate = function(client, source, opts) {
+  var stream = new FilterStream(client, opts);
+  var iterator = source[Symbol.asyncIterator] ? source[Symbol.asyncIterator]() : source[Symbol.iterator]();
+
+  var pump = function() {
+    Promise.resolve(iterator.next()).then(function(step) {
+      if (step.done) return stream.end();
+      if (stream.write(step.value)) return pump();
+
+      stream.once('drain', pump);
+    }).catch(function(err) {
+      stream.emit('error', err);
+    });
+  };
+  pump();
+
+  return stream;
+};
+
+module.exports = FilterStream;
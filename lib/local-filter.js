@@ -0,0 +1,197 @@
+'use strict';
+var _ = require('lodash');
+var filterResult = require('./filter-result');
+
+// Characters commonly substituted for letters.
+var LEETSPEAK = {
+  '0': 'o',
+  '1': 'i',
+  '3': 'e',
+  '4': 'a',
+  '5': 's',
+  '7': 't',
+  '8': 'b',
+  '@': 'a',
+  '$': 's',
+  '!': 'i',
+  '|': 'l',
+  '+': 't'
+};
+
+/*
+ * Lowercases the text, maps leetspeak characters to letters and collapses runs of the same character, so that
+ * 'D1RRRTY' and 'dirty' normalize to the same string.
+ *
+ * @returns normalized.text         Normalized text
+ * @returns normalized.ranges       For each character of the normalized text, the [start, end) range of the original
+ *                                    text it came from
+ */
+function normalize(text) {
+  var normalized = '';
+  var ranges = [];
+
+  for (var i = 0; i < text.length; i++) {
+    var lower = text.charAt(i).toLowerCase();
+    var character = LEETSPEAK[lower] || lower;
+
+    if (normalized.length && normalized.charAt(normalized.length - 1) === character) {
+      ranges[ranges.length - 1][1] = i + 1;
+    } else {
+      normalized += character;
+      ranges.push([i, i + 1]);
+    }
+  }
+  return {text: normalized, ranges: ranges};
+}
+
+/*
+ * Prepares a blacklist word for find(). The word is normalized like content, but keeps how many times each character
+ * appears in a row, so that 'ass' is not reduced to 'as'.
+ *
+ * @returns compiled.text           Normalized word
+ * @returns compiled.counts         For each character of the normalized word, how many times it appears in a row
+ */
+function compile(word) {
+  var normalized = normalize(word);
+
+  return {
+    text: normalized.text,
+    counts: _.map(normalized.ranges, function(range) {
+      return range[1] - range[0];
+    })
+  };
+}
+
+/*
+ * Finds where a compiled word occurs in normalized text. Each character of the word matches a run of at least as many
+ * of that character, so 'ass' matches 'a$$' and 'asss' but not 'as', and 'boob' does not match 'Bob'.
+ *
+ * @param {object} normalized       Result of normalize()
+ * @param {object} compiled         Result of compile()
+ * @returns {array}                 Indexes into normalized.text where the word starts
+ */
+function find(normalized, compiled) {
+  var found = [];
+  if (!compiled.text) return found;
+
+  var index = normalized.text.indexOf(compiled.text);
+  while (index !== -1) {
+    if (runsMatch(normalized, compiled, index)) found.push(index);
+    index = normalized.text.indexOf(compiled.text, index + 1);
+  }
+  return found;
+}
+
+function runsMatch(normalized, compiled, index) {
+  return _.every(compiled.counts, function(count, offset) {
+    var range = normalized.ranges[index + offset];
+    return range[1] - range[0] >= count;
+  });
+}
+
+function isLetter(character) {
+  return !!character && character.toLowerCase() !== character.toUpperCase();
+}
+
+/*
+ * A small blacklist filter that runs in-process. It produces the same result shape as CleanSpeak's filter, and is
+ * used when CleanSpeak is disabled (development mode) or, with fallback set, when a filter request fails.
+ *
+ * Entries only match whole words, after normalization. A doubled letter in an entry must be at least doubled in the
+ * content, so 'boob' matches 'BOOOB' but not 'Bob'.
+ *
+ * @param {array} opts.words                Blacklist entries: strings, or objects with word, severity, tags and
+ *                                            locale. Entries given as strings have severity 'high'.
+ * @param {string} opts.replaceCharacter    Character used to replace matches (default '*')
+ * @param {bool} opts.fallback              Use this filter when a filter request to CleanSpeak fails (default false)
+ */
+function LocalFilter(opts) {
+  opts = opts || {};
+  this.replaceCharacter = opts.replaceCharacter || '*';
+  this.fallback = !!opts.fallback;
+  this.words = _.map(opts.words || [], function(entry) {
+    if (_.isString(entry)) entry = {word: entry};
+
+    return {
+      word: entry.word,
+      compiled: compile(entry.word),
+      severity: entry.severity || 'high',
+      tags: entry.tags || [],
+      locale: entry.locale || null
+    };
+  });
+}
+
+/*
+ * Filters content.
+ *
+ * @param {string} content                  Text to filter
+ * @param {string} opts.severity            Lowest severity that matches (optional)
+ * @param {array} opts.categories           Only match entries with one of these tags (optional)
+ * @param {string} opts.locale              Only match entries for this locale, or with no locale (optional)
+ * @param {string} opts.replaceCharacter    Character used to replace matches (optional)
+ * @returns {object}                        Same shape as the result of CleanSpeak.prototype.filter
+ */
+LocalFilter.prototype.filter = function(content, opts) {
+  opts = opts || {};
+  var replaceCharacter = opts.replaceCharacter || this.replaceCharacter;
+  var normalized = normalize(content);
+
+  var entries = _.filter(this.words, function(entry) {
+    if (opts.severity && filterResult.compareSeverity(entry.severity, opts.severity) < 0) return false;
+    if (opts.categories && !_.intersection(opts.categories, entry.tags).length) return false;
+    if (opts.locale && entry.locale && entry.locale !== opts.locale) return false;
+
+    return true;
+  });
+
+  var matches = [];
+  _.each(entries, function(entry) {
+    _.each(find(normalized, entry.compiled), function(index) {
+      var start = normalized.ranges[index][0];
+      var length = normalized.ranges[index + entry.compiled.text.length - 1][1] - start;
+
+      // Word boundaries are checked in the original content, so trailing punctuation like '!' still ends a word.
+      if (!isLetter(content.charAt(start - 1)) && !isLetter(content.charAt(start + length))) {
+        matches.push({
+          matched: content.substr(start, length),
+          root: entry.word,
+          severity: entry.severity,
+          start: start,
+          length: length,
+          locale: entry.locale,
+          tags: entry.tags,
+          type: 'blacklist',
+          quality: 1
+        });
+      }
+    });
+  });
+
+  // Where entries overlap, keep the one that starts first, and the longest of those.
+  matches = _.sortBy(_.sortBy(matches, function(match) {
+    return -match.length;
+  }), 'start');
+  var lastEnd = 0;
+  matches = _.filter(matches, function(match) {
+    if (match.start < lastEnd) return false;
+
+    lastEnd = match.start + match.length;
+    return true;
+  });
+
+  var replacement = content;
+  _.each(matches, function(match) {
+    replacement = replacement.substr(0, match.start) +
+      new Array(match.length + 1).join(replaceCharacter) +
+      replacement.substr(match.start + match.length);
+  });
+
+  return filterResult.build(replacement, matches);
+};
+
+LocalFilter.normalize = normalize;
+LocalFilter.compile = compile;
+LocalFilter.find = find;
+
+module.exports = LocalFilter;
@@ -0,0 +1,62 @@
+'use strict';
+
+/*
+ * In-process least-recently-used cache with a time to live, for filter results.
+ *
+ * All cache stores implement the same asynchronous interface, so a shared cache (Redis, memcached and so on) can be
+ * used instead:
+ *
+ *   get(key, callback)             Looks up a value. callback(err, value), value is undefined on a miss
+ *   set(key, value, callback)      Stores a value. The value is a plain, JSON-serializable object. callback(err)
+ *
+ * @param {number} opts.max         Maximum number of entries; the least recently used is evicted first (default 1000)
+ * @param {number} opts.ttl         Milliseconds an entry stays valid (default 60000)
+ */
+function LRUCache(opts) {
+  opts = opts || {};
+  this.max = opts.max || 1000;
+  this.ttl = opts.ttl || 60000;
+  this.entries = new Map();
+  this.evictions = 0;
+}
+
+LRUCache.prototype.get = function(key, callback) {
+  var entry = this.entries.get(key);
+  var value;
+
+  if (entry && entry.expires <= Date.now()) {
+    this.entries.delete(key);
+  } else if (entry) {
+    // Re-inserting moves the key to the end of the Map, which is the most recently used end.
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    value = entry.value;
+  }
+
+  process.nextTick(function() {
+    return callback(null, value);
+  });
+};
+
+LRUCache.prototype.set = function(key, value, callback) {
+  this.entries.delete(key);
+  this.entries.set(key, {value: value, expires: Date.now() + this.ttl});
+
+  while (this.entries.size > this.max) {
+    this.entries.delete(this.entries.keys().next().value);
+    this.evictions++;
+  }
+
+  process.nextTick(function() {
+    return callback(null);
+  });
+};
+
+/*
+ * Number of entries currently stored, including expired entries that have not been looked up since expiring.
+ */
+LRUCache.prototype.size = function() {
+  return this.entries.size;
+};
+
+module.exports = LRUCache;
@@ -0,0 +1,41 @@
+'use strict';
+
+/*
+ * Maps over items with an asynchronous iterator, running at most limit iterations at a time. Results keep the order
+ * of the items. The iterator's errors are not treated specially: it should pass back whatever should end up in the
+ * results.
+ *
+ * @param {array} items                 Items to map
+ * @param {number} limit                Maximum number of iterations in flight. Anything below 1 is taken as 1.
+ * @param {function} iterator           Called as iterator(item, index, callback(result))
+ * @param {function} callback           Callback when every item is done (results)
+ */
+function mapLimit(items, limit, iterator, callback) {
+  limit = Math.max(Math.floor(limit) || 1, 1);
+  var results = new Array(items.length);
+  var next = 0;
+  var finished = 0;
+
+  if (!items.length) {
+    return process.nextTick(function() {
+      callback(results);
+    });
+  }
+
+  var start = function() {
+    var index = next++;
+    iterator(items[index], index, function(result) {
+      results[index] = result;
+      finished++;
+
+      if (finished === items.length) return callback(results);
+      if (next < items.length) start();
+    });
+  };
+
+  for (var i = 0; i < Math.min(limit, items.length); i++) {
+    start();
+  }
+}
+
+module.exports = mapLimit;
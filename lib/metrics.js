@@ -0,0 +1,130 @@
+'use strict';
+var _ = require('lodash');
+
+// Upper bounds of the latency histogram buckets, in seconds.
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/*
+ * Collects request counts and latencies from one or more clients, per client method, and renders them in the
+ * Prometheus text exposition format.
+ *
+ * Metrics:
+ *   cleanspeak_requests_total{operation, status}            Requests by outcome: the status code, or 'error' for
+ *                                                              requests that got no response
+ *   cleanspeak_retries_total{operation}                     Requests that were sent again
+ *   cleanspeak_request_duration_seconds{operation}          Histogram of request latency
+ *
+ * @param {array} opts.buckets              Upper bounds of the latency buckets in seconds (optional)
+ *
+ * Example:
+ *   var metrics = new CleanSpeak.Metrics();
+ *   var cleanSpeak = new CleanSpeak({host: host, metrics: metrics});
+ *   app.get('/metrics', function(req, res) {
+ *     res.set('Content-Type', CleanSpeak.Metrics.CONTENT_TYPE).send(metrics.toPrometheus());
+ *   });
+ */
+function Metrics(opts) {
+  opts = opts || {};
+
+  this.buckets = _.sortBy(opts.buckets || DEFAULT_BUCKETS);
+  this.reset();
+}
+
+Metrics.CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+/*
+ * Starts collecting metrics from a client's request events. Called by the client when passed as opts.metrics.
+ *
+ * @param {CleanSpeak} client
+ */
+Metrics.prototype.observe = function(client) {
+  var that = this;
+
+  client.on('response', function(event) {
+    that._record(event);
+  });
+  client.on('error', function(event) {
+    that._record(event);
+  });
+  client.on('retry', function(event) {
+    var key = labels({operation: operation(event)});
+    that.retries[key] = (that.retries[key] || 0) + 1;
+  });
+};
+
+/*
+ * Clears everything collected so far.
+ */
+Metrics.prototype.reset = function() {
+  this.requests = {};
+  this.retries = {};
+  this.durations = {};
+};
+
+/*
+ * Renders the metrics in the Prometheus text exposition format.
+ *
+ * @returns {string}
+ */
+Metrics.prototype.toPrometheus = function() {
+  var that = this;
+  var lines = [];
+
+  lines.push('# HELP cleanspeak_requests_total Requests sent to CleanSpeak, by client method and status.');
+  lines.push('# TYPE cleanspeak_requests_total counter');
+  _.each(this.requests, function(count, key) {
+    lines.push('cleanspeak_requests_total{' + key + '} ' + count);
+  });
+
+  lines.push('# HELP cleanspeak_retries_total Requests to CleanSpeak that were sent again, by client method.');
+  lines.push('# TYPE cleanspeak_retries_total counter');
+  _.each(this.retries, function(count, key) {
+    lines.push('cleanspeak_retries_total{' + key + '} ' + count);
+  });
+
+  lines.push('# HELP cleanspeak_request_duration_seconds Latency of requests to CleanSpeak, by client method.');
+  lines.push('# TYPE cleanspeak_request_duration_seconds histogram');
+  _.each(this.durations, function(histogram, key) {
+    var name = 'cleanspeak_request_duration_seconds';
+    _.each(that.buckets, function(bound, index) {
+      lines.push(name + '_bucket{' + key + ',le="' + bound + '"} ' + histogram.buckets[index]);
+    });
+    lines.push(name + '_bucket{' + key + ',le="+Inf"} ' + histogram.count);
+    lines.push(name + '_sum{' + key + '} ' + histogram.sum);
+    lines.push(name + '_count{' + key + '} ' + histogram.count);
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+Metrics.prototype._record = function(event) {
+  var status = event.statusCode ? String(event.statusCode) : 'error';
+  var requestKey = labels({operation: operation(event), status: status});
+  this.requests[requestKey] = (this.requests[requestKey] || 0) + 1;
+
+  var key = labels({operation: operation(event)});
+  var histogram = this.durations[key];
+  if (!histogram) {
+    histogram = this.durations[key] = {buckets: _.map(this.buckets, _.constant(0)), sum: 0, count: 0};
+  }
+
+  var seconds = event.latency / 1000;
+  _.each(this.buckets, function(bound, index) {
+    if (seconds <= bound) histogram.buckets[index]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+};
+
+function operation(event) {
+  return event.operation || 'unknown';
+}
+
+// Renders label pairs as name="value", escaping values the way the text format requires.
+function labels(values) {
+  return _.map(values, function(value, name) {
+    return name + '="' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+  }).join(',');
+}
+
+module.exports = Metrics;
@@ -0,0 +1,197 @@
+'use strict';
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var _ = require('lodash');
+var errors = require('./errors');
+
+/*
+ * Receives the notifications CleanSpeak sends to a notification server when moderators act on content or users, and
+ * emits them as events.
+ *
+ * Events (each with a single event object):
+ *   'contentApproval'      {type, contentId, status, applicationId, moderator, raw}, one per item in the
+ *                            notification
+ *   'contentDelete'        {type, contentId, applicationId, moderator, raw}
+ *   'contentEdit'          {type, contentId, applicationId, parts, moderator, raw}
+ *   'userAction'           {type, userId, action, applicationIds, reason, comment, expiry, moderator, raw}
+ *   'unknown'              {type, raw}, for notification types this library does not know about
+ *   'notification'         Every event above, after its own event
+ *
+ * moderator is {id, email, externalId}, with null for anything CleanSpeak did not send.
+ *
+ * CleanSpeak retries a notification until it gets a 200, so listeners should not throw for notifications they
+ * can't handle; if a listener does throw, the receiver replies 500 and CleanSpeak sends the notification again.
+ *
+ * @param {string} opts.username            Username CleanSpeak sends with basic auth
+ * @param {string} opts.password            Password CleanSpeak sends with basic auth
+ * @param {bool} opts.allowUnauthenticated  Accept every request without credentials, for a receiver that is only
+ *                                            reachable by CleanSpeak. Without it, a missing username or password
+ *                                            throws a ConfigurationError.
+ */
+function NotificationReceiver(opts) {
+  EventEmitter.call(this);
+  opts = opts || {};
+
+  if (!opts.allowUnauthenticated && (!opts.username || !opts.password)) {
+    throw errors.invalidConfig([{
+      field: 'notificationUsername',
+      code: '[missing]',
+      message: 'A notification receiver needs a username and password to check, or allowUnauthenticated: true'
+    }]);
+  }
+
+  this.username = opts.allowUnauthenticated ? null : opts.username;
+  this.password = opts.allowUnauthenticated ? null : opts.password;
+  this.handler = this.handle.bind(this);
+}
+util.inherits(NotificationReceiver, EventEmitter);
+
+/*
+ * Request handler for http.createServer, or an Express/Connect route or middleware. Uses req.body if a body parser
+ * has already read it.
+ *
+ * Replies 200 once the notification has been emitted, 401 for missing or wrong credentials, 405 for anything but a
+ * POST, 400 for a body that isn't a JSON notification and 500 if a listener throws.
+ */
+NotificationReceiver.prototype.handle = function(req, res) {
+  var that = this;
+
+  if (!this._authorized(req.headers.authorization)) {
+    return reply(res, 401, {'WWW-Authenticate': 'Basic realm="CleanSpeak notifications"'});
+  }
+  if (req.method !== 'POST') return reply(res, 405, {Allow: 'POST'});
+
+  readBody(req, function(err, body) {
+    if (err || !_.isPlainObject(body) || !body.type) return reply(res, 400);
+
+    try {
+      that._emitNotification(body);
+    } catch(e) {
+      return reply(res, 500);
+    }
+    return reply(res, 200);
+  });
+};
+
+/*
+ * Converts a notification body into typed events and emits them.
+ */
+NotificationReceiver.prototype._emitNotification = function(body) {
+  var that = this;
+  var moderator = {
+    id: body.moderatorId || null,
+    email: body.moderatorEmail || null,
+    externalId: body.moderatorExternalId || null
+  };
+  var events;
+
+  switch (body.type) {
+    case 'contentApproval':
+      events = _.map(body.approvals || {}, function(status, contentId) {
+        return {
+          type: 'contentApproval',
+          contentId: contentId,
+          status: status,
+          applicationId: body.applicationId || null,
+          moderator: moderator,
+          raw: body
+        };
+      });
+      break;
+    case 'contentDelete':
+      events = [{
+        type: 'contentDelete',
+        contentId: body.id,
+        applicationId: body.applicationId || null,
+        moderator: moderator,
+        raw: body
+      }];
+      break;
+    case 'contentEdit':
+      events = [{
+        type: 'contentEdit',
+        contentId: body.id,
+        applicationId: body.applicationId || null,
+        parts: body.content && body.content.parts || [],
+        moderator: moderator,
+        raw: body
+      }];
+      break;
+    case 'userAction':
+      events = [{
+        type: 'userAction',
+        userId: body.userId,
+        action: body.action,
+        applicationIds: body.applicationIds || [],
+        reason: body.reason || null,
+        comment: body.comment || null,
+        expiry: body.expiry || null,
+        moderator: moderator,
+        raw: body
+      }];
+      break;
+    default:
+      events = [{type: 'unknown', raw: body}];
+  }
+
+  _.each(events, function(event) {
+    that.emit(event.type, event);
+    that.emit('notification', event);
+  });
+};
+
+/*
+ * Checks basic auth credentials. Only a receiver created with allowUnauthenticated has no username, and it accepts
+ * every request.
+ */
+NotificationReceiver.prototype._authorized = function(header) {
+  if (!this.username) return true;
+
+  var match = /^Basic\s+(.+)$/i.exec(header || '');
+  if (!match) return false;
+
+  var credentials = Buffer.from(match[1], 'base64').toString('utf8');
+  return constantTimeEqual(credentials, this.username + ':' + (this.password || ''));
+};
+
+// Compares strings without returning early, so response times don't reveal how much of a password was right.
+function constantTimeEqual(a, b) {
+  var mismatches = a.length === b.length ? 0 : 1;
+  for (var i = 0; i < b.length; i++) {
+    mismatches += a.charCodeAt(i) === b.charCodeAt(i) ? 0 : 1;
+  }
+  return mismatches === 0;
+}
+
+function readBody(req, callback) {
+  if (typeof req.body !== 'undefined') {
+    if (!_.isString(req.body) && !Buffer.isBuffer(req.body)) return callback(null, req.body);
+    return parse(req.body.toString(), callback);
+  }
+
+  var chunks = [];
+  req.on('data', function(chunk) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  });
+  req.on('error', callback);
+  req.on('end', function() {
+    parse(Buffer.concat(chunks).toString('utf8'), callback);
+  });
+}
+
+function parse(text, callback) {
+  var body;
+  try {
+    body = JSON.parse(text);
+  } catch(e) {
+    return callback(e);
+  }
+  return callback(null, body);
+}
+
+function reply(res, statusCode, headers) {
+  res.writeHead(statusCode, headers || {});
+  res.end();
+}
+
+module.exports = NotificationReceiver;
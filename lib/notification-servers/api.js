@@ -0,0 +1,76 @@
+'use strict';
+var _ = require('lodash');
+
+var FIELDS = ['url', 'httpAuthenticationUsername', 'httpAuthenticationPassword', 'applicationIds'];
+
+/*
+ * Manages notification servers through CleanSpeak's /system/notification-server API. This is the default adapter.
+ *
+ * All notification server adapters implement the same asynchronous interface. Servers are objects with id, url,
+ * httpAuthenticationUsername, httpAuthenticationPassword and applicationIds.
+ *
+ *   create(server, callback)           callback(err, server), server has its new id
+ *   list(callback)                     callback(err, servers)
+ *   get(id, callback)                  callback(err, server)
+ *   update(id, server, callback)       Replaces the server. callback(err, server)
+ *   remove(id, callback)               callback(err)
+ *
+ * @param {CleanSpeak} client           Client used to send the requests
+ */
+function ApiNotificationServers(client) {
+  this.client = client;
+}
+
+ApiNotificationServers.prototype.create = function(server, callback) {
+  var options = {method: 'POST', path: '/system/notification-server', body: {notificationServer: _.pick(server, FIELDS)}};
+
+  this.client._requestJSON(options, function(err, data) {
+    if (err) return callback(err);
+
+    return callback(null, normalize(data.notificationServer));
+  });
+};
+
+ApiNotificationServers.prototype.list = function(callback) {
+  this.client._requestJSON({method: 'GET', path: '/system/notification-server'}, function(err, data) {
+    if (err) return callback(err);
+
+    return callback(null, _.map(data.notificationServers || [], normalize));
+  });
+};
+
+ApiNotificationServers.prototype.get = function(id, callback) {
+  this.client._requestJSON({method: 'GET', path: '/system/notification-server/' + id}, function(err, data) {
+    if (err) return callback(err);
+
+    return callback(null, normalize(data.notificationServer));
+  });
+};
+
+ApiNotificationServers.prototype.update = function(id, server, callback) {
+  var options = {
+    method: 'PUT',
+    path: '/system/notification-server/' + id,
+    body: {notificationServer: _.pick(server, FIELDS)}
+  };
+
+  this.client._requestJSON(options, function(err, data) {
+    if (err) return callback(err);
+
+    return callback(null, normalize(data.notificationServer));
+  });
+};
+
+ApiNotificationServers.prototype.remove = function(id, callback) {
+  this.client._request({method: 'DELETE', path: '/system/notification-server/' + id}, function(err) {
+    if (err) return callback(err);
+
+    return callback(null);
+  });
+};
+
+function normalize(server) {
+  return _.assign({applicationIds: []}, _.pick(server, ['id'].concat(FIELDS)));
+}
+
+module.exports = ApiNotificationServers;
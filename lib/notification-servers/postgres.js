@@ -0,0 +1,204 @@
+'use strict';
+var _ = require('lodash');
+var errors = require('../errors');
+
+/*
+ * Legacy notification server adapter that writes to CleanSpeak's database directly, for CleanSpeak versions without
+ * the notification server API. Same interface as ApiNotificationServers. Only used when the client is created with
+ * notificationServers: 'postgres'.
+ *
+ * Requires the pg module, which is an optional dependency.
+ *
+ * @param {string} opts.databaseUrl         Connection string for CleanSpeak's database
+ * @param {object} opts.pg                  pg module to use instead of require('pg') (optional)
+ */
+function PostgresNotificationServers(opts) {
+  opts = opts || {};
+  this.databaseUrl = opts.databaseUrl;
+  this.pg = opts.pg || require('pg');
+}
+
+PostgresNotificationServers.prototype.create = function(server, callback) {
+  var that = this;
+
+  this._transaction(function(client, callback) {
+    var query = 'INSERT INTO notification_servers (url, http_authentication_username, http_authentication_password) VALUES ($1, $2, $3) RETURNING id';
+    var params = [server.url, server.httpAuthenticationUsername, server.httpAuthenticationPassword];
+    client.query(query, params, function(err, result) {
+      if (err) return callback(new errors.DatabaseError('Could not create the notification server', {cause: err}));
+
+      var id = result.rows[0].id;
+      that._link(client, id, server.applicationIds || [], function(err) {
+        if (err) return callback(err);
+
+        return callback(null, serverFields(id, server));
+      });
+    });
+  }, callback);
+};
+
+PostgresNotificationServers.prototype.list = function(callback) {
+  this._select('', [], callback);
+};
+
+PostgresNotificationServers.prototype.get = function(id, callback) {
+  this._select('WHERE ns.id = $1', [id], function(err, servers) {
+    if (err) return callback(err);
+    if (!servers.length) return callback(new errors.NotFoundError('Notification server ' + id + ' does not exist'));
+
+    return callback(null, servers[0]);
+  });
+};
+
+PostgresNotificationServers.prototype.update = function(id, server, callback) {
+  var that = this;
+
+  this._transaction(function(client, callback) {
+    var query = 'UPDATE notification_servers SET url = $1, http_authentication_username = $2, http_authentication_password = $3 WHERE id = $4';
+    var params = [server.url, server.httpAuthenticationUsername, server.httpAuthenticationPassword, id];
+    client.query(query, params, function(err, result) {
+      if (err) return callback(new errors.DatabaseError('Could not update the notification server', {cause: err}));
+      if (!result.rowCount) return callback(new errors.NotFoundError('Notification server ' + id + ' does not exist'));
+
+      that._unlink(client, id, function(err) {
+        if (err) return callback(err);
+
+        that._link(client, id, server.applicationIds || [], function(err) {
+          if (err) return callback(err);
+
+          return callback(null, serverFields(id, server));
+        });
+      });
+    });
+  }, callback);
+};
+
+PostgresNotificationServers.prototype.remove = function(id, callback) {
+  var that = this;
+
+  this._transaction(function(client, callback) {
+    that._unlink(client, id, function(err) {
+      if (err) return callback(err);
+
+      client.query('DELETE FROM notification_servers WHERE id = $1', [id], function(err) {
+        if (err) return callback(new errors.DatabaseError('Could not delete the notification server', {cause: err}));
+
+        return callback(null);
+      });
+    });
+  }, callback);
+};
+
+PostgresNotificationServers.prototype._connect = function(callback) {
+  this.pg.connect(this.databaseUrl, function(err, client, done) {
+    if (err) return callback(new errors.DatabaseError('Could not connect to the CleanSpeak database', {cause: err}));
+
+    return callback(null, client, done);
+  });
+};
+
+/*
+ * Runs work(client, callback) inside a transaction, committing if it succeeds and rolling back if it fails, so a
+ * server is never left half written.
+ *
+ * @param {function} work                   Called as work(client, callback(err, result))
+ * @param {function} callback               Callback when complete (err, result)
+ */
+PostgresNotificationServers.prototype._transaction = function(work, callback) {
+  this._connect(function(err, client, done) {
+    if (err) return callback(err);
+
+    client.query('BEGIN', [], function(err) {
+      if (err) {
+        done(err);
+        return callback(new errors.DatabaseError('Could not start a transaction', {cause: err}));
+      }
+
+      work(client, function(err, result) {
+        if (err) {
+          return client.query('ROLLBACK', [], function(rollbackErr) {
+            // A connection that failed to roll back is passed to done so the pool discards it.
+            done(rollbackErr);
+            return callback(err);
+          });
+        }
+
+        client.query('COMMIT', [], function(err) {
+          done(err);
+          if (err) return callback(new errors.DatabaseError('Could not commit the transaction', {cause: err}));
+
+          return callback(null, result);
+        });
+      });
+    });
+  });
+};
+
+/*
+ * Selects servers with their application IDs. One row comes back per linked application, so rows are grouped by
+ * server.
+ */
+PostgresNotificationServers.prototype._select = function(where, params, callback) {
+  this._connect(function(err, client, done) {
+    if (err) return callback(err);
+
+    var query = 'SELECT ns.id, ns.url, ns.http_authentication_username AS "httpAuthenticationUsername", ' +
+      'ns.http_authentication_password AS "httpAuthenticationPassword", nsa.applications_id AS "applicationId" ' +
+      'FROM notification_servers ns ' +
+      'LEFT JOIN notification_servers_applications nsa ON nsa.notification_servers_id = ns.id ' +
+      where + ' ORDER BY ns.id';
+    client.query(query, params, function(err, result) {
+      done();
+      if (err) return callback(new errors.DatabaseError('Could not read notification servers', {cause: err}));
+
+      var servers = [];
+      var byId = {};
+      _.each(result.rows, function(row) {
+        var server = byId[row.id];
+        if (!server) {
+          server = byId[row.id] = serverFields(row.id, row);
+          servers.push(server);
+        }
+        if (row.applicationId) server.applicationIds.push(row.applicationId);
+      });
+      return callback(null, servers);
+    });
+  });
+};
+
+PostgresNotificationServers.prototype._link = function(client, id, applicationIds, callback) {
+  var remaining = applicationIds.slice();
+
+  var next = function() {
+    if (!remaining.length) return callback(null);
+
+    var query = 'INSERT INTO notification_servers_applications (notification_servers_id, applications_id) VALUES ($1, $2)';
+    client.query(query, [id, remaining.shift()], function(err) {
+      if (err) return callback(new errors.DatabaseError('Could not link the notification server', {cause: err}));
+
+      return next();
+    });
+  };
+  next();
+};
+
+PostgresNotificationServers.prototype._unlink = function(client, id, callback) {
+  var query = 'DELETE FROM notification_servers_applications WHERE notification_servers_id = $1';
+  client.query(query, [id], function(err) {
+    if (err) return callback(new errors.DatabaseError('Could not unlink the notification server', {cause: err}));
+
+    return callback(null);
+  });
+};
+
+function serverFields(id, server) {
+  return {
+    id: id,
+    url: server.url,
+    httpAuthenticationUsername: server.httpAuthenticationUsername,
+    httpAuthenticationPassword: server.httpAuthenticationPassword,
+    applicationIds: (server.applicationIds || []).slice()
+  };
+}
+
+module.exports = PostgresNotificationServers;
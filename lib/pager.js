@@ -0,0 +1,68 @@
+'use strict';
+var _ = require('lodash');
+
+/*
+ * Iterates over the items of a paginated list, fetching a page at a time as it goes. It is an async iterator, so on
+ * Node 10 and later it can be used with for await:
+ *
+ *   for await (var user of cleanSpeak.iterateUsers({name: 'bob'})) { ... }
+ *
+ * next() also takes a callback. Calls to next() should not overlap.
+ *
+ * @param {function} fetchPage          Called as fetchPage(startRow, numberOfResults, callback(err, items, total)).
+ *                                        When total is not a number, pages are fetched until one comes back short.
+ * @param {number} opts.pageSize        Items fetched per page (default 25)
+ * @param {number} opts.startRow        Index of the first item (default 0)
+ */
+function Pager(fetchPage, opts) {
+  opts = opts || {};
+  this.fetchPage = fetchPage;
+  this.pageSize = opts.pageSize || 25;
+  this.startRow = opts.startRow || 0;
+  this.buffer = [];
+  this.finished = false;
+}
+
+/*
+ * Gets the next item.
+ *
+ * @param {function} callback           Callback when complete (err, {value, done}). If omitted, a Promise is
+ *                                        returned.
+ */
+Pager.prototype.next = function(callback) {
+  var that = this;
+
+  if (!callback) {
+    return new Promise(function(resolve, reject) {
+      that.next(function(err, result) {
+        if (err) return reject(err);
+        return resolve(result);
+      });
+    });
+  }
+
+  if (this.buffer.length || this.finished) {
+    var result = this.buffer.length ? {value: this.buffer.shift(), done: false} : {value: undefined, done: true};
+    return process.nextTick(function() {
+      callback(null, result);
+    });
+  }
+
+  this.fetchPage(this.startRow, this.pageSize, function(err, items, total) {
+    if (err) return callback(err);
+
+    that.startRow += items.length;
+    var last = _.isNumber(total) ? that.startRow >= total : items.length < that.pageSize;
+    if (!items.length || last) that.finished = true;
+    that.buffer = items;
+    return that.next(callback);
+  });
+};
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+  Pager.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
+
+module.exports = Pager;
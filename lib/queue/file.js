@@ -0,0 +1,152 @@
+'use strict';
+var fs = require('fs');
+
+/*
+ * File-backed queue adapter. Every push and remove is appended to a journal file as a line of JSON, and the journal
+ * is replayed on first use, so queued jobs survive a restart. The journal is compacted whenever the queue empties.
+ *
+ * Implements the same interface as MemoryQueue.
+ *
+ * @param {string} opts.path        Path to the journal file. Created if it does not exist.
+ */
+function FileQueue(opts) {
+  this.path = opts.path;
+  this.jobs = null;
+  this._writes = [];
+  this._writing = false;
+  this._loading = null;
+}
+
+FileQueue.prototype.push = function(job, callback) {
+  var that = this;
+  this._load(function(err) {
+    if (err) return callback(err);
+
+    that._write(JSON.stringify({op: 'push', job: job}) + '\n', function(err) {
+      if (err) return callback(err);
+
+      that.jobs.push(JSON.parse(JSON.stringify(job)));
+      return callback(null);
+    });
+  });
+};
+
+FileQueue.prototype.peek = function(callback) {
+  var that = this;
+  this._load(function(err) {
+    if (err) return callback(err);
+
+    return callback(null, that.jobs.length ? that.jobs[0] : null);
+  });
+};
+
+FileQueue.prototype.remove = function(id, callback) {
+  var that = this;
+  this._load(function(err) {
+    if (err) return callback(err);
+
+    that._write(JSON.stringify({op: 'remove', id: id}) + '\n', function(err) {
+      if (err) return callback(err);
+
+      that.jobs = that.jobs.filter(function(job) {
+        return job.id !== id;
+      });
+      if (that.jobs.length) return callback(null);
+
+      that._write(null, callback);
+    });
+  });
+};
+
+FileQueue.prototype.size = function(callback) {
+  var that = this;
+  this._load(function(err) {
+    if (err) return callback(err);
+
+    return callback(null, that.jobs.length);
+  });
+};
+
+/*
+ * Replays the journal into memory, once. Concurrent callers wait for the same read.
+ */
+FileQueue.prototype._load = function(callback) {
+  var that = this;
+  if (this.jobs) return process.nextTick(callback);
+  if (this._loading) return this._loading.push(callback);
+
+  this._loading = [callback];
+  fs.readFile(this.path, 'utf8', function(err, data) {
+    var callbacks = that._loading;
+    that._loading = null;
+
+    if (err && err.code !== 'ENOENT') {
+      return callbacks.forEach(function(cb) {
+        cb(err);
+      });
+    }
+
+    var jobs = [];
+    (data || '').split('\n').forEach(function(line) {
+      if (!line) return;
+      var record;
+      try {
+        record = JSON.parse(line);
+      } catch(e) {
+        // A partial line left by a crash mid-write; everything before it is still valid.
+        return;
+      }
+      if (record.op === 'push') {
+        jobs.push(record.job);
+      } else if (record.op === 'remove') {
+        jobs = jobs.filter(function(job) {
+          return job.id !== record.id;
+        });
+      }
+    });
+    that.jobs = jobs;
+
+    callbacks.forEach(function(cb) {
+      cb(null);
+    });
+  });
+};
+
+/*
+ * Appends a line to the journal. Writes are serialized so the journal order matches the call order.
+ * Passing null for the line compacts the journal instead, rewriting it with only the jobs still waiting.
+ */
+FileQueue.prototype._write = function(line, callback) {
+  this._writes.push({line: line, callback: callback});
+  this._flush();
+};
+
+FileQueue.prototype._flush = function() {
+  var that = this;
+  if (this._writing || !this._writes.length) return;
+
+  var write = this._writes.shift();
+  this._writing = true;
+
+  var done = function(err) {
+    that._writing = false;
+    write.callback(err || null);
+    that._flush();
+  };
+
+  if (write.line === null) {
+    var journal = this.jobs.map(function(job) {
+      return JSON.stringify({op: 'push', job: job}) + '\n';
+    }).join('');
+    // Written beside the journal and renamed over it, so a crash part way through leaves the old journal intact.
+    var temporary = this.path + '.tmp';
+    return fs.writeFile(temporary, journal, function(err) {
+      if (err) return done(err);
+
+      fs.rename(temporary, that.path, done);
+    });
+  }
+  fs.appendFile(this.path, write.line, done);
+};
+
+module.exports = FileQueue;
@@ -0,0 +1,47 @@
+'use strict';
+
+/*
+ * In-memory queue adapter. Jobs are lost when the process exits, so this is mostly useful for development and tests.
+ *
+ * All queue adapters implement the same asynchronous interface:
+ *
+ *   push(job, callback)         Appends a job ({id, method, args}) to the end of the queue. callback(err)
+ *   peek(callback)              Returns the oldest job without removing it. callback(err, job), job is null if empty
+ *   remove(id, callback)        Removes a job once it has been handled. callback(err)
+ *   size(callback)              Returns the number of jobs waiting. callback(err, count)
+ */
+function MemoryQueue() {
+  this.jobs = [];
+}
+
+MemoryQueue.prototype.push = function(job, callback) {
+  this.jobs.push(JSON.parse(JSON.stringify(job)));
+  process.nextTick(function() {
+    return callback(null);
+  });
+};
+
+MemoryQueue.prototype.peek = function(callback) {
+  var job = this.jobs.length ? this.jobs[0] : null;
+  process.nextTick(function() {
+    return callback(null, job);
+  });
+};
+
+MemoryQueue.prototype.remove = function(id, callback) {
+  this.jobs = this.jobs.filter(function(job) {
+    return job.id !== id;
+  });
+  process.nextTick(function() {
+    return callback(null);
+  });
+};
+
+MemoryQueue.prototype.size = function(callback) {
+  var count = this.jobs.length;
+  process.nextTick(function() {
+    return callback(null, count);
+  });
+};
+
+module.exports = MemoryQueue;
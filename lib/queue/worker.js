@@ -0,0 +1,145 @@
+'use strict';
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var errors = require('../errors');
+
+/*
+ * Drains a CleanSpeak client's queue, sending each job to the server in order. A job that fails is retried with
+ * exponential backoff before the worker moves on, so an outage holds the queue rather than dropping submissions.
+ *
+ * Jobs the server rejected (a 4xx other than 429, or invalid arguments) and jobs a ReplayTransport has no recording for
+ * fail at once, since sending them again can't help. Jobs that are not safe to send twice, like flagContent, are only
+ * retried when nothing reached the server.
+ *
+ * Events:
+ *   'sent' (job)                 Job was accepted by the server and removed from the queue
+ *   'retry' (job, err, delay)    Job failed and will be retried after delay milliseconds
+ *   'failed' (job, err)          Job was rejected, failed maxAttempts times, or may have reached the server and can't
+ *                                  be sent again, and was removed from the queue
+ *   'error' (err)                The queue adapter itself failed (only emitted if there is a listener)
+ *
+ * @param {CleanSpeak} client           Client to send jobs with. Its queue option is the queue that gets drained.
+ * @param {number} opts.maxAttempts     Attempts per job before it is given up on (default 10)
+ * @param {number} opts.retryDelay      Delay before the first retry in milliseconds, doubled on every retry
+ *                                        (default 1000)
+ * @param {number} opts.maxRetryDelay   Upper bound for the retry delay in milliseconds (default 60000)
+ * @param {number} opts.interval        How often to check an empty queue for new jobs in milliseconds (default 1000)
+ */
+function QueueWorker(client, opts) {
+  EventEmitter.call(this);
+  opts = opts || {};
+
+  this.client = client;
+  this.queue = client.queue;
+  this.maxAttempts = opts.maxAttempts || 10;
+  this.retryDelay = typeof opts.retryDelay !== 'undefined' ? opts.retryDelay : 1000;
+  this.maxRetryDelay = opts.maxRetryDelay || 60000;
+  this.interval = typeof opts.interval !== 'undefined' ? opts.interval : 1000;
+  this.running = false;
+  this._timer = null;
+}
+util.inherits(QueueWorker, EventEmitter);
+
+/*
+ * Starts polling the queue. Jobs are sent one at a time, oldest first.
+ */
+QueueWorker.prototype.start = function() {
+  var that = this;
+  if (this.running) return;
+  this.running = true;
+
+  var loop = function() {
+    if (!that.running) return;
+    that._processNext(function(err, processed) {
+      if (!that.running) return;
+      if (processed) return loop();
+
+      that._timer = setTimeout(loop, that.interval);
+    });
+  };
+  loop();
+};
+
+/*
+ * Stops polling. A job that is already being sent is allowed to finish, but a job waiting to be retried stays in the
+ * queue until the worker is started again.
+ */
+QueueWorker.prototype.stop = function() {
+  this.running = false;
+  clearTimeout(this._timer);
+  this._timer = null;
+};
+
+/*
+ * Sends every job currently in the queue, then calls back. Useful at shutdown or in tests.
+ *
+ * @param {function} callback       Callback when the queue is empty (err)
+ */
+QueueWorker.prototype.drain = function(callback) {
+  var that = this;
+  this._processNext(function(err, processed) {
+    if (err) return callback(err);
+    if (!processed) return callback(null);
+
+    that.drain(callback);
+  });
+};
+
+/*
+ * Sends the oldest job, retrying until it succeeds or runs out of attempts.
+ *
+ * @returns {bool} processed        false if the queue was empty
+ */
+QueueWorker.prototype._processNext = function(callback) {
+  var that = this;
+
+  this.queue.peek(function(err, job) {
+    if (err) return that._adapterError(err, callback);
+    if (!job) return callback(null, false);
+
+    var attempts = 0;
+    var attempt = function() {
+      attempts++;
+      that.client._runQueued(job, function(err) {
+        if (!err) {
+          return that.queue.remove(job.id, function(err) {
+            if (err) return that._adapterError(err, callback);
+
+            that.emit('sent', job);
+            return callback(null, true);
+          });
+        }
+
+        if (attempts >= that.maxAttempts || isPermanent(err) || !that.client._canResend(job, err)) {
+          return that.queue.remove(job.id, function(removeErr) {
+            if (removeErr) return that._adapterError(removeErr, callback);
+
+            that.emit('failed', job, err);
+            return callback(null, true);
+          });
+        }
+
+        var delay = Math.min(that.retryDelay * Math.pow(2, attempts - 1), that.maxRetryDelay);
+        that.emit('retry', job, err, delay);
+        that._timer = setTimeout(attempt, delay);
+      });
+    };
+    attempt();
+  });
+};
+
+/*
+ * Whether an error means the job will never be accepted as it is.
+ */
+function isPermanent(err) {
+  if (err instanceof errors.ValidationError || err instanceof errors.FixtureError) return true;
+
+  return err.statusCode >= 400 && err.statusCode < 500 && err.statusCode !== 429;
+}
+
+QueueWorker.prototype._adapterError = function(err, callback) {
+  if (this.listeners('error').length) this.emit('error', err);
+  return callback(err);
+};
+
+module.exports = QueueWorker;
@@ -0,0 +1,87 @@
+'use strict';
+var _ = require('lodash');
+
+/*
+ * Normalizes the objects CleanSpeak returns from its read APIs. Fields CleanSpeak may leave out get defaults, and
+ * *Instant fields (milliseconds since the epoch) become Dates. Fields not listed here are kept as they are.
+ */
+
+function convertInstants(object) {
+  _.each(object, function(value, key) {
+    if (/Instant$/.test(key) && _.isNumber(value)) object[key] = new Date(value);
+  });
+  return object;
+}
+
+/*
+ * @returns {object}        Application with id, name and moderationConfiguration
+ */
+function application(raw) {
+  return convertInstants(_.assign({
+    id: null,
+    name: null,
+    moderationConfiguration: {}
+  }, raw));
+}
+
+/*
+ * @returns {object}        User with id, name, email, birthDate, displayNames, applicationIds, attributes, imageURL,
+ *                            createInstant and lastLoginInstant
+ */
+function user(raw) {
+  return convertInstants(_.assign({
+    id: null,
+    name: null,
+    email: null,
+    birthDate: null,
+    displayNames: [],
+    applicationIds: [],
+    attributes: {},
+    imageURL: null,
+    createInstant: null,
+    lastLoginInstant: null
+  }, raw));
+}
+
+/*
+ * @returns {object}        Content item with id, applicationId, senderId, senderDisplayName, parts and createInstant
+ */
+function content(raw) {
+  return convertInstants(_.assign({
+    id: null,
+    applicationId: null,
+    senderId: null,
+    senderDisplayName: null,
+    parts: [],
+    createInstant: null
+  }, raw));
+}
+
+/*
+ * @returns {object}        User action with id, userId, action, applicationIds, reason, comment, moderatorId,
+ *                            createInstant, expiry and endInstant (set once the action was removed)
+ */
+function userAction(raw) {
+  var action = _.assign({
+    id: null,
+    userId: null,
+    action: null,
+    applicationIds: [],
+    reason: null,
+    comment: null,
+    moderatorId: null,
+    createInstant: null,
+    expiry: null,
+    endInstant: null
+  }, raw);
+  // expiry is an instant too, despite its name.
+  if (_.isNumber(action.expiry)) action.expiry = new Date(action.expiry);
+  return convertInstants(action);
+}
+
+module.exports = {
+  application: application,
+  user: user,
+  content: content,
+  userAction: userAction
+};
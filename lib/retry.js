@@ -0,0 +1,50 @@
+'use strict';
+var _ = require('lodash');
+var errors = require('./errors');
+
+/*
+ * Decides whether a failed request is retried, and how long to wait first.
+ *
+ * @param {number} opts.maxAttempts             Attempts per request, including the first (default 1, no retries)
+ * @param {number} opts.baseDelay               Delay before the first retry in milliseconds, doubled on every retry
+ *                                                (default 100)
+ * @param {number} opts.maxDelay                Upper bound for the delay in milliseconds (default 5000)
+ * @param {bool} opts.jitter                    Picks a random delay between 0 and the computed delay, so clients
+ *                                                that failed together don't retry together (default true)
+ * @param {array} opts.retryableStatusCodes     Status codes that are retried (default 429, 500, 502, 503, 504).
+ *                                                Requests that got no response at all are always retried.
+ */
+function RetryPolicy(opts) {
+  opts = opts || {};
+  this.maxAttempts = opts.maxAttempts || 1;
+  this.baseDelay = typeof opts.baseDelay !== 'undefined' ? opts.baseDelay : 100;
+  this.maxDelay = typeof opts.maxDelay !== 'undefined' ? opts.maxDelay : 5000;
+  this.jitter = typeof opts.jitter !== 'undefined' ? opts.jitter : true;
+  this.retryableStatusCodes = opts.retryableStatusCodes || [429, 500, 502, 503, 504];
+}
+
+/*
+ * @param {CleanSpeakError} err         Error from the last attempt
+ * @param {number} attempts             Attempts made so far
+ * @param {bool} idempotent             Whether the request can safely be sent more than once
+ * @returns {bool}
+ */
+RetryPolicy.prototype.shouldRetry = function(err, attempts, idempotent) {
+  if (!idempotent || attempts >= this.maxAttempts) return false;
+  if (err instanceof errors.TransportError) return true;
+
+  return _.contains(this.retryableStatusCodes, err.statusCode);
+};
+
+/*
+ * @param {number} attempts             Attempts made so far
+ * @returns {number}                    Milliseconds to wait before the next attempt
+ */
+RetryPolicy.prototype.delay = function(attempts) {
+  var delay = Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+  if (this.jitter) delay = Math.floor(Math.random() * (delay + 1));
+
+  return delay;
+};
+
+module.exports = RetryPolicy;
@@ -0,0 +1,118 @@
+'use strict';
+var url = require('url');
+var _ = require('lodash');
+
+// Headers and body fields whose values are never written to a fixture.
+var REDACTED_HEADERS = ['authentication', 'authorization'];
+var REDACTED_FIELDS = ['httpAuthenticationPassword', 'password'];
+var REDACTED = '[redacted]';
+
+/*
+ * Helpers shared by RecordingTransport and ReplayTransport. A fixture file has one exchange per line, as JSON:
+ *
+ *   {request: {method, path, headers, body}, response: {statusCode, headers, body}}
+ *   {request: {method, path, headers, body}, error: {message, code}}       for requests that got no response
+ *
+ * path includes the query string but not the host, so fixtures recorded against one server replay against any.
+ * Credentials are redacted from headers and from JSON bodies.
+ */
+
+/*
+ * Converts a transport request into its fixture form.
+ *
+ * @param {object} request                  Request as passed to a transport's send()
+ * @returns {object}                        {method, path, headers, body}
+ */
+function request(sent) {
+  return {
+    method: sent.method,
+    path: url.parse(sent.uri).path,
+    headers: _.mapValues(sent.headers || {}, function(value, name) {
+      return _.contains(REDACTED_HEADERS, name.toLowerCase()) ? REDACTED : value;
+    }),
+    body: redactBody(sent.body)
+  };
+}
+
+/*
+ * Converts a transport response into its fixture form.
+ *
+ * @param {object} response                 Response as passed to a transport's callback
+ * @returns {object}                        {statusCode, headers, body}
+ */
+function response(received) {
+  return {statusCode: received.statusCode, headers: received.headers || {}, body: redactBody(received.body)};
+}
+
+/*
+ * Whether a recorded request matches one being replayed. Method and path must be the same, and JSON bodies must be
+ * equal apart from timestamps (*Instant and expiry fields), which differ on every run.
+ *
+ * @param {object} recorded                 Request from a fixture
+ * @param {object} replayed                 Request being replayed, converted with request()
+ * @returns {bool}
+ */
+function matches(recorded, replayed) {
+  return recorded.method === replayed.method && recorded.path === replayed.path &&
+    _.isEqual(comparable(recorded.body), comparable(replayed.body));
+}
+
+/*
+ * Describes a request for error messages.
+ */
+function describe(request) {
+  return request.method + ' ' + request.path + (request.body ? ' ' + request.body : '');
+}
+
+function redactBody(body) {
+  var parsed = parse(body);
+  if (parsed === body) return body;
+
+  return JSON.stringify(walk(parsed, function(value, key) {
+    return _.contains(REDACTED_FIELDS, key) ? REDACTED : value;
+  }));
+}
+
+function comparable(body) {
+  var parsed = parse(body);
+  if (parsed === body) return body;
+
+  return walk(parsed, function(value, key) {
+    return /Instant$/.test(key) || key === 'expiry' ? undefined : value;
+  });
+}
+
+// Parses a JSON body, returning the body itself if it isn't JSON.
+function parse(body) {
+  if (!_.isString(body) || !body) return body;
+
+  try {
+    return JSON.parse(body);
+  } catch(e) {
+    return body;
+  }
+}
+
+// Copies a parsed JSON value, passing every object property through replace(value, key).
+function walk(value, replace) {
+  if (_.isArray(value)) {
+    return _.map(value, function(item) {
+      return walk(item, replace);
+    });
+  }
+  if (!_.isPlainObject(value)) return value;
+
+  var copy = {};
+  _.each(value, function(property, key) {
+    property = replace(property, key);
+    if (!_.isUndefined(property)) copy[key] = walk(property, replace);
+  });
+  return copy;
+}
+
+module.exports = {
+  request: request,
+  response: response,
+  matches: matches,
+  describe: describe
+};
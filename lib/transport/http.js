@@ -0,0 +1,107 @@
+'use strict';
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var _ = require('lodash');
+
+/*
+ * Default transport, built on Node's http and https modules.
+ *
+ * All transports implement the same asynchronous interface, so a custom one (going through a proxy, using client
+ * certificates, or a test double) can be passed to the client as opts.transport:
+ *
+ *   send(request, callback)        Sends a request: {method, uri, headers, body, timeout, signal}. body is a
+ *                                    string or undefined, timeout is in milliseconds (0 for none) and signal is an
+ *                                    AbortSignal for calls that can be cancelled, or undefined.
+ *                                    callback(err, response), response is {statusCode, headers, body} with body as
+ *                                    a string. err is only for requests that got no response; any status code is a
+ *                                    response. An err with code 'ETIMEDOUT' is reported as a TimeoutError.
+ *
+ * The client enforces timeout and signal itself, so a transport may ignore them; honouring them frees the connection
+ * sooner.
+ *
+ * @param {bool} opts.keepAlive             Reuse connections between requests (default false)
+ * @param {number} opts.maxSockets          Maximum connections per host when keepAlive is set (default Infinity)
+ * @param {object} opts.agent               http.Agent or https.Agent to use instead, for example one with client
+ *                                            certificates (optional)
+ */
+function HttpTransport(opts) {
+  opts = opts || {};
+
+  if (opts.agent) {
+    this.agents = {'http:': opts.agent, 'https:': opts.agent};
+  } else {
+    var agentOpts = {keepAlive: !!opts.keepAlive, maxSockets: opts.maxSockets || Infinity};
+    this.agents = {'http:': new http.Agent(agentOpts), 'https:': new https.Agent(agentOpts)};
+  }
+}
+
+HttpTransport.prototype.send = function(request, callback) {
+  var parsed = url.parse(request.uri);
+  var client = parsed.protocol === 'https:' ? https : http;
+  var headers = _.clone(request.headers || {});
+  var signal = request.signal;
+  var req;
+
+  var onAbort = function() {
+    var err = new Error('Request aborted');
+    err.code = 'ABORT_ERR';
+    req.destroy(err);
+  };
+  var done = _.once(function(err, response) {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    callback(err, response);
+  });
+
+  if (typeof request.body !== 'undefined') headers['Content-Length'] = Buffer.byteLength(request.body);
+
+  // http.request throws on options it can't send, such as an invalid header value.
+  try {
+    req = client.request({
+      method: request.method,
+      hostname: parsed.hostname,
+      port: parsed.port,
+      path: parsed.path,
+      headers: headers,
+      agent: this.agents[parsed.protocol]
+    }, function(res) {
+      var chunks = [];
+      res.on('data', function(chunk) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+      });
+      res.on('error', done);
+      res.on('end', function() {
+        var body = Buffer.concat(chunks).toString('utf8');
+        return done(null, {statusCode: res.statusCode, headers: res.headers, body: body});
+      });
+    });
+  } catch(err) {
+    return setImmediate(done, err);
+  }
+
+  req.on('error', done);
+  if (request.timeout) {
+    req.setTimeout(request.timeout, function() {
+      var err = new Error('Request timed out after ' + request.timeout + 'ms');
+      err.code = 'ETIMEDOUT';
+      done(err);
+      req.destroy();
+    });
+  }
+  if (signal) {
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort);
+  }
+  req.end(request.body);
+};
+
+/*
+ * Closes idle keep-alive connections, so the process can exit.
+ */
+HttpTransport.prototype.close = function() {
+  _.each(_.uniq(_.values(this.agents)), function(agent) {
+    if (agent.destroy) agent.destroy();
+  });
+};
+
+module.exports = HttpTransport;
@@ -0,0 +1,77 @@
+'use strict';
+var fs = require('fs');
+var fixtures = require('./fixtures');
+var HttpTransport = require('./http');
+
+/*
+ * Transport that sends requests through another transport and writes every exchange to a fixture file, for
+ * ReplayTransport to serve later. Auth tokens and notification server passwords are redacted. The file is replaced
+ * when the first exchange is written.
+ *
+ * Implements the same interface as HttpTransport.
+ *
+ * @param {string} opts.path                Path to the fixture file
+ * @param {object} opts.transport           Transport that sends the requests (default a new HttpTransport)
+ *
+ * Example:
+ *   var cleanSpeak = new CleanSpeak({
+ *     host: 'http://cleanspeak.staging.example.com:8001',
+ *     transport: new CleanSpeak.RecordingTransport({path: 'test/fixtures/cleanspeak.jsonl'})
+ *   });
+ */
+function RecordingTransport(opts) {
+  this.path = opts.path;
+  this.transport = opts.transport || new HttpTransport();
+  this._writes = [];
+  this._writing = false;
+  this._started = false;
+}
+
+RecordingTransport.prototype.send = function(request, callback) {
+  var that = this;
+
+  this.transport.send(request, function(err, response) {
+    var exchange = {request: fixtures.request(request)};
+    if (err) {
+      exchange.error = {message: err.message, code: err.code};
+    } else {
+      exchange.response = fixtures.response(response);
+    }
+
+    that._write(JSON.stringify(exchange) + '\n', function(writeErr) {
+      if (writeErr) return callback(writeErr);
+
+      return callback(err, response);
+    });
+  });
+};
+
+RecordingTransport.prototype.close = function() {
+  if (this.transport.close) this.transport.close();
+};
+
+/*
+ * Appends a line to the fixture file. Writes are serialized so the file order matches the order responses arrived.
+ */
+RecordingTransport.prototype._write = function(line, callback) {
+  this._writes.push({line: line, callback: callback});
+  this._flush();
+};
+
+RecordingTransport.prototype._flush = function() {
+  var that = this;
+  if (this._writing || !this._writes.length) return;
+
+  var write = this._writes.shift();
+  var append = this._started ? fs.appendFile : fs.writeFile;
+  this._writing = true;
+  this._started = true;
+
+  append(this.path, write.line, function(err) {
+    that._writing = false;
+    write.callback(err || null);
+    that._flush();
+  });
+};
+
+module.exports = RecordingTransport;
@@ -0,0 +1,70 @@
+'use strict';
+var fs = require('fs');
+var _ = require('lodash');
+var errors = require('../errors');
+var fixtures = require('./fixtures');
+
+/*
+ * Transport that serves responses from a fixture file written by RecordingTransport, without any network access.
+ * Each recorded exchange is used once, in the order it was recorded, so the same request can get different
+ * responses.
+ *
+ * A request with no recorded response fails with a FixtureError, which the client passes straight to the caller: it is
+ * not retried, not counted by the circuit breaker and does not fall back to the local filter. The request is also
+ * added to unmatched, so verify() still catches misses whose errors the code under test swallowed.
+ *
+ * Implements the same interface as HttpTransport.
+ *
+ * @param {string} opts.path                Path to the fixture file. Read when the transport is created; a missing
+ *                                            or unreadable file throws.
+ *
+ * Example:
+ *   var transport = new CleanSpeak.ReplayTransport({path: 'test/fixtures/cleanspeak.jsonl'});
+ *   var cleanSpeak = new CleanSpeak({host: 'http://cleanspeak.example.com:8001', transport: transport});
+ *   afterEach(function() {
+ *     transport.verify();
+ *   });
+ */
+function ReplayTransport(opts) {
+  this.path = opts.path;
+  this.exchanges = _.map(_.compact(fs.readFileSync(this.path, 'utf8').split('\n')), function(line) {
+    return JSON.parse(line);
+  });
+  this.unmatched = [];
+}
+
+ReplayTransport.prototype.send = function(request, callback) {
+  var replayed = fixtures.request(request);
+  var exchange = _.find(this.exchanges, function(exchange) {
+    return !exchange.used && fixtures.matches(exchange.request, replayed);
+  });
+
+  if (!exchange) {
+    this.unmatched.push(replayed);
+    var err = new errors.FixtureError('No recorded response in ' + this.path + ' for ' + fixtures.describe(replayed), {
+      method: request.method,
+      uri: request.uri
+    });
+    return setImmediate(callback, err);
+  }
+
+  exchange.used = true;
+  if (exchange.error) {
+    var recorded = new Error(exchange.error.message);
+    recorded.code = exchange.error.code;
+    return setImmediate(callback, recorded);
+  }
+  setImmediate(callback, null, _.cloneDeep(exchange.response));
+};
+
+/*
+ * Throws if any request had no recorded response.
+ */
+ReplayTransport.prototype.verify = function() {
+  if (!this.unmatched.length) return;
+
+  throw new Error('Requests with no recorded response in ' + this.path + ':\n' +
+    _.map(this.unmatched, fixtures.describe).join('\n'));
+};
+
+module.exports = ReplayTransport;
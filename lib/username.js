@@ -0,0 +1,200 @@
+'use strict';
+var _ = require('lodash');
+var filterResult = require('./filter-result');
+var LocalFilter = require('./local-filter');
+
+var DEFAULT_POLICY = {
+  minLength: 3,
+  maxLength: 20,
+  charset: /[A-Za-z0-9_.\-]/,
+  severity: 'mild',
+  reserved: [],
+  words: [],
+  suggestions: 0
+};
+
+// Greek and Cyrillic letters that look like Latin ones.
+var CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c',
+  'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ӏ': 'l',
+  'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C',
+  'Т': 'T', 'Х': 'X', 'І': 'I', 'Ј': 'J', 'Ѕ': 'S',
+  'α': 'a', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+  'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N',
+  'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X'
+};
+
+var SCRIPTS = {
+  Latin: /[A-Za-z\u00c0-\u024f]/,
+  Greek: /[\u0370-\u03ff]/,
+  Cyrillic: /[\u0400-\u04ff]/
+};
+
+var SEPARATORS = /[\s_.\-]+/g;
+
+/*
+ * Replaces full-width forms and lookalike Greek and Cyrillic letters with plain Latin letters.
+ */
+function fold(name) {
+  var text = name.normalize ? name.normalize('NFKC') : name;
+  return _.map(text.split(''), function(character) {
+    return CONFUSABLES[character] || character;
+  }).join('');
+}
+
+/*
+ * Normalizes a name for comparing it with other names: folded, without separators, with leetspeak mapped to letters
+ * and runs of the same letter collapsed. 'Adm1n', 'a_d_m_i_n' and 'аdmin' (with a Cyrillic а) all become 'admin'.
+ * Compare against compare(word), which keeps the word's doubled letters, so 'Jason' does not contain 'ass'.
+ *
+ * @returns {object}                        Same shape as LocalFilter.normalize()
+ */
+function simplify(name) {
+  return LocalFilter.normalize(fold(name).replace(SEPARATORS, ''));
+}
+
+function compare(word) {
+  return LocalFilter.compile(fold(word).replace(SEPARATORS, ''));
+}
+
+/*
+ * Spellings of a name to send to CleanSpeak, so words run together are still seen as words: the name itself, the name
+ * split at separators and case changes ('BigDarnGuy' becomes 'Big Darn Guy'), and that with lookalike letters and
+ * leetspeak mapped to plain letters.
+ */
+function variants(name) {
+  var spaced = fold(name).replace(/([a-z])([A-Z])/g, '$1 $2').replace(SEPARATORS, ' ').trim();
+  var plain = _.map(spaced.toLowerCase().split(''), function(character) {
+    return character === ' ' ? character : LocalFilter.normalize(character).text;
+  }).join('');
+
+  return _.uniq(_.compact([name, spaced, plain]));
+}
+
+function scriptsOf(name) {
+  return _.filter(_.keys(SCRIPTS), function(script) {
+    return SCRIPTS[script].test(name);
+  });
+}
+
+/*
+ * Checks the parts of a policy that don't need CleanSpeak.
+ *
+ * @returns {array}                         Reasons the name breaks the policy, each with code and message
+ */
+function checkPolicy(name, policy) {
+  var reasons = [];
+  var add = function(code, message, matched) {
+    reasons.push(matched ? {code: code, message: message, matched: matched} : {code: code, message: message});
+  };
+
+  if (name.length < policy.minLength) add('[tooShort]', 'Must be at least ' + policy.minLength + ' characters');
+  if (name.length > policy.maxLength) add('[tooLong]', 'Must be at most ' + policy.maxLength + ' characters');
+
+  var invalid = _.uniq(_.reject(name.split(''), function(character) {
+    return policy.charset.test(character);
+  }));
+  if (invalid.length) {
+    add('[invalidCharacters]', 'Must not contain ' + _.map(invalid, function(character) {
+      return '\'' + character + '\'';
+    }).join(', '), invalid.join(''));
+  }
+
+  var scripts = scriptsOf(name);
+  if (scripts.length > 1) add('[mixedScripts]', 'Must not mix ' + scripts.join(' and ') + ' letters');
+
+  var simplified = simplify(name);
+  var reserved = _.find(policy.reserved, function(reservedName) {
+    var compiled = compare(reservedName);
+    return compiled.text === simplified.text && LocalFilter.find(simplified, compiled).length > 0;
+  });
+  if (reserved) add('[reserved]', 'Looks like the reserved name ' + reserved, reserved);
+
+  _.each(policy.words, function(word) {
+    if (LocalFilter.find(simplified, compare(word)).length) add('[inappropriate]', 'Contains ' + word, word);
+  });
+
+  return reasons;
+}
+
+/*
+ * Turns the filter results for a name's variants into reasons. Blacklist matches count if they are at or above the
+ * policy's severity; any other match (an email address, phone number or URL) always counts.
+ */
+function checkMatches(results, policy) {
+  var matches = _.flatten(_.map(results, 'matches'), true);
+  var reasons = [];
+
+  _.each(matches, function(match) {
+    var code;
+    if (match.type !== 'blacklist') {
+      code = '[contactInfo]';
+    } else if (filterResult.compareSeverity(match.severity, policy.severity) >= 0) {
+      code = '[inappropriate]';
+    }
+    if (!code || _.find(reasons, {code: code, matched: match.matched})) return;
+
+    reasons.push({code: code, message: 'Contains ' + match.matched, matched: match.matched});
+  });
+  return reasons;
+}
+
+/*
+ * Takes every occurrence of matched out of text, comparing them the way the local filter does, so that 'darn' also
+ * removes 'D4rn'.
+ */
+function remove(text, matched) {
+  var target = LocalFilter.compile(matched.replace(SEPARATORS, ''));
+  var normalized = LocalFilter.normalize(text);
+  var found = LocalFilter.find(normalized, target);
+
+  while (found.length) {
+    var start = normalized.ranges[found[0]][0];
+    var end = normalized.ranges[found[0] + target.text.length - 1][1];
+    text = text.substr(0, start) + text.substr(end);
+    normalized = LocalFilter.normalize(text);
+    found = LocalFilter.find(normalized, target);
+  }
+  return text;
+}
+
+/*
+ * Names to offer instead of a denied one, best first: the name with lookalike letters replaced and the offending text
+ * and characters taken out, then that with a number on the end. They still need to be checked.
+ */
+function candidates(name, reasons, policy, count) {
+  var base = fold(name);
+  _.each(reasons, function(reason) {
+    if (reason.matched && _.contains(['[inappropriate]', '[contactInfo]', '[reserved]'], reason.code)) {
+      base = remove(base, reason.matched);
+    }
+  });
+  base = _.filter(base.split(''), function(character) {
+    return policy.charset.test(character);
+  }).join('').replace(/^[_.\-]+|[_.\-]+$/g, '');
+  base = base.substr(0, Math.max(policy.maxLength - 3, policy.minLength));
+  if (base.length < policy.minLength) base = 'player';
+
+  var names = [];
+  for (var i = 0; names.length < count; i++) {
+    var candidate = i ? base + i : base;
+    if (candidate !== name) names.push(candidate);
+  }
+  return names;
+}
+
+/*
+ * Fills in a policy's defaults.
+ */
+function resolvePolicy(policy) {
+  return _.defaults({}, policy, DEFAULT_POLICY);
+}
+
+module.exports = {
+  DEFAULT_POLICY: DEFAULT_POLICY,
+  resolvePolicy: resolvePolicy,
+  variants: variants,
+  checkPolicy: checkPolicy,
+  checkMatches: checkMatches,
+  candidates: candidates
+};
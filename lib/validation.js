@@ -0,0 +1,257 @@
+'use strict';
+var url = require('url');
+var _ = require('lodash');
+var errors = require('./errors');
+
+var PART_TYPES = ['text', 'attribute', 'hyperlink', 'image', 'video', 'audio'];
+
+var TYPES = {
+  string: 'a string',
+  number: 'a number',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object'
+};
+
+var FORMATS = {
+  uuid: {
+    pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    description: 'a UUID'
+  },
+  email: {
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    description: 'an email address'
+  },
+  date: {
+    pattern: /^\d{4}-\d{2}-\d{2}$/,
+    description: 'a date in YYYY-MM-DD format',
+    // The pattern accepts dates like 2015-02-30, which don't survive a round trip through Date.
+    check: function(value) {
+      var date = new Date(value + 'T00:00:00Z');
+      return !isNaN(date.valueOf()) && date.toISOString().slice(0, 10) === value;
+    }
+  },
+  url: {
+    pattern: /^https?:\/\//i,
+    description: 'an http or https URL',
+    check: function(value) {
+      return !!url.parse(value).hostname;
+    }
+  }
+};
+
+/*
+ * Schemas for the arguments of each method, with the opts fields alongside the positional arguments. A field's rules:
+ *
+ *   required       Must be present
+ *   type           string, number, boolean, array or object
+ *   format         uuid, email, date (YYYY-MM-DD) or url; implies type string
+ *   oneOf          Array of allowed values
+ *   minLength      Minimum number of items, for arrays
+ *   items          Rules for each item, for arrays
+ *   unique         Property that must be unique among the items, for arrays of objects
+ *   properties     Rules for each property, for objects
+ */
+var SCHEMAS = {
+  moderate: {
+    content: {
+      required: true,
+      type: 'array',
+      minLength: 1,
+      unique: 'name',
+      items: {
+        type: 'object',
+        properties: {
+          name: {required: true, type: 'string'},
+          content: {required: true, type: 'string'},
+          type: {required: true, oneOf: PART_TYPES}
+        }
+      }
+    },
+    contentId: {required: true, format: 'uuid'},
+    senderId: {format: 'uuid'},
+    senderDisplayName: {type: 'string'},
+    applicationId: {format: 'uuid'},
+    requiresApproval: {type: 'boolean'},
+    generatesAlert: {type: 'boolean'},
+    update: {type: 'boolean'}
+  },
+  flagContent: {
+    contentId: {required: true, format: 'uuid'},
+    reporterId: {required: true, format: 'uuid'},
+    reason: {type: 'string'},
+    comment: {type: 'string'}
+  },
+  getContent: {
+    contentId: {required: true, format: 'uuid'}
+  },
+  updateContentParts: {
+    contentId: {required: true, format: 'uuid'},
+    parts: {
+      required: true,
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: {required: true, type: 'string'}
+        }
+      }
+    }
+  },
+  deleteContent: {
+    contentId: {required: true, format: 'uuid'}
+  },
+  getContentStatus: {
+    contentId: {required: true, format: 'uuid'}
+  },
+  addUser: {
+    userId: {required: true, format: 'uuid'},
+    applicationIds: {type: 'array', items: {format: 'uuid'}},
+    attributes: {type: 'object'},
+    displayNames: {type: 'array', items: {type: 'string'}},
+    birthDate: {format: 'date'},
+    email: {format: 'email'},
+    lastLoginInstant: {type: 'number'},
+    name: {type: 'string'},
+    imageURL: {type: 'string'},
+    update: {type: 'boolean'}
+  },
+  getUser: {
+    userId: {required: true, format: 'uuid'}
+  },
+  actionUser: {
+    userId: {required: true, format: 'uuid'}
+  },
+  removeUserAction: {
+    userId: {required: true, format: 'uuid'}
+  },
+  getUserActions: {
+    userId: {required: true, format: 'uuid'}
+  },
+  createApplication: {
+    name: {required: true, type: 'string', minLength: 1},
+    id: {format: 'uuid'},
+    notificationPath: {type: 'string'},
+    contentDeletable: {type: 'boolean'},
+    contentEditable: {type: 'boolean'},
+    contentUserActionsEnabled: {type: 'boolean'},
+    defaultActionIsQueueForApproval: {type: 'boolean'},
+    persistent: {type: 'boolean'},
+    storeContent: {type: 'boolean'}
+  },
+  getApplication: {
+    id: {required: true, format: 'uuid'}
+  },
+  updateApplication: {
+    id: {required: true, format: 'uuid'}
+  },
+  deleteApplication: {
+    id: {required: true, format: 'uuid'}
+  },
+  // The constructor's settings, see lib/config.js.
+  config: {
+    host: {format: 'url'},
+    authToken: {type: 'string'},
+    notificationHost: {format: 'url'},
+    notificationUsername: {type: 'string'},
+    notificationPassword: {type: 'string'},
+    enabled: {type: 'boolean'},
+    databaseUrl: {type: 'string'},
+    timeout: {type: 'number'}
+  }
+};
+
+function typeOf(value) {
+  if (_.isArray(value)) return 'array';
+  if (_.isPlainObject(value)) return 'object';
+  return typeof value;
+}
+
+/*
+ * Checks one value against its rules, adding a problem ({field, code, message}) for each rule it breaks.
+ */
+function checkField(field, value, rules, problems) {
+  var add = function(code, message, name) {
+    problems.push({field: name || field, code: code, message: message});
+  };
+
+  if (_.isUndefined(value) || _.isNull(value)) {
+    if (rules.required) add('[missing]', field + ' is required');
+    return;
+  }
+
+  var format = FORMATS[rules.format];
+  var type = format ? 'string' : rules.type;
+  if (type && typeOf(value) !== type) {
+    return add('[invalid]', field + ' must be ' + (format ? format.description : TYPES[type]));
+  }
+  if (format && (!format.pattern.test(value) || (format.check && !format.check(value)))) {
+    return add('[invalid]', field + ' must be ' + format.description);
+  }
+  if (rules.oneOf && !_.contains(rules.oneOf, value)) {
+    return add('[invalid]', field + ' must be one of ' + rules.oneOf.join(', '));
+  }
+  if (rules.minLength && value.length < rules.minLength) {
+    return add('[blank]', field + ' must not be empty');
+  }
+
+  if (rules.items) {
+    _.each(value, function(item, index) {
+      checkField(field + '[' + index + ']', item, rules.items, problems);
+    });
+  }
+  if (rules.unique) {
+    var seen = {};
+    _.each(value, function(item, index) {
+      var key = item && item[rules.unique];
+      if (_.isUndefined(key)) return;
+
+      if (_.has(seen, key)) {
+        var name = field + '[' + index + '].' + rules.unique;
+        add('[duplicate]', name + ' ' + JSON.stringify(key) + ' is already used by ' + field + '[' + seen[key] + ']',
+          name);
+      } else {
+        seen[key] = index;
+      }
+    });
+  }
+  if (rules.properties) {
+    _.each(rules.properties, function(propertyRules, property) {
+      checkField(field + '.' + property, value[property], propertyRules, problems);
+    });
+  }
+}
+
+/*
+ * Lists every way the arguments of a method break its schema.
+ *
+ * @param {string} method                   Method name, such as moderate or getContent, or config
+ * @param {object} args                     The method's positional arguments by name, merged with its opts
+ * @returns {array}                         Problems, each with field, code and message
+ */
+function check(method, args) {
+  var problems = [];
+  _.each(SCHEMAS[method], function(rules, field) {
+    checkField(field, args[field], rules, problems);
+  });
+  return problems;
+}
+
+/*
+ * Validates the arguments of a method against its schema, before anything is sent.
+ *
+ * @param {string} method                   Method name, such as moderate or getContent
+ * @param {object} args                     The method's positional arguments by name, merged with its opts
+ * @returns {ValidationError}               Error listing every problem, or null if there are none
+ */
+function validate(method, args) {
+  var problems = check(method, args);
+
+  return problems.length ? errors.invalidFields(problems) : null;
+}
+
+module.exports = {
+  check: check,
+  validate: validate,
+  PART_TYPES: PART_TYPES
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('cache', function() {
+  var cleanSpeak, mockRequest, defaultOptions;
+
+  beforeEach(function() {
+    defaultOptions = {
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123'
+    };
+  });
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  describe('LRUCache', function() {
+    var cache, clock;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers(new Date().valueOf(), 'Date');
+      cache = new CleanSpeak.LRUCache({max: 2, ttl: 1000});
+    });
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('returns stored values', function(done) {
+      cache.set('a', {value: 1}, function() {
+        cache.get('a', function(err, value) {
+          expect(value).to.eql({value: 1});
+
+          done();
+        });
+      });
+    });
+
+    it('expires values after the ttl', function(done) {
+      cache.set('a', 1, function() {
+        clock.tick(1000);
+        cache.get('a', function(err, value) {
+          expect(value).to.be.undefined;
+          expect(cache.size()).to.equal(0);
+
+          done();
+        });
+      });
+    });
+
+    it('evicts the least recently used entry', function(done) {
+      cache.set('a', 1, function() {
+        cache.set('b', 2, function() {
+          cache.get('a', function() {
+            cache.set('c', 3, function() {
+              cache.get('b', function(err, value) {
+                expect(value).to.be.undefined;
+                expect(cache.evictions).to.equal(1);
+
+                cache.get('a', function(err, value) {
+                  expect(value).to.equal(1);
+
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('filter', function() {
+    beforeEach(function() {
+      defaultOptions.cache = true;
+      cleanSpeak = new CleanSpeak(defaultOptions);
+    });
+
+    it('only sends identical content once', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .reply(200, {replacement: 'fine'});
+
+      return cleanSpeak.filter('fine').then(function() {
+        return cleanSpeak.filter('fine');
+      }).then(function(result) {
+        expect(result.replacement).to.equal('fine');
+        expect(cleanSpeak.cacheStats).to.eql({hits: 1, misses: 1});
+
+        mockRequest.done();
+      });
+    });
+
+    it('keys on the filter options', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .times(2)
+        .reply(200, {replacement: 'fine'});
+
+      return cleanSpeak.filter('fine').then(function() {
+        return cleanSpeak.filter('fine', {locale: 'fr'});
+      }).then(function() {
+        expect(cleanSpeak.cacheStats).to.eql({hits: 0, misses: 2});
+
+        mockRequest.done();
+      });
+    });
+
+    it('returns a copy of the cached result', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .reply(200, {replacement: 'fine'});
+
+      return cleanSpeak.filter('fine').then(function(result) {
+        result.replacement = 'changed';
+        return cleanSpeak.filter('fine');
+      }).then(function(result) {
+        expect(result.replacement).to.equal('fine');
+      });
+    });
+
+    it('does not cache errors', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .reply(400, {})
+        .post('/content/item/filter')
+        .reply(200, {replacement: 'fine'});
+
+      return cleanSpeak.filter('fine').catch(function() {
+        return cleanSpeak.filter('fine');
+      }).then(function(result) {
+        expect(result.replacement).to.equal('fine');
+
+        mockRequest.done();
+      });
+    });
+
+    it('bypasses the cache when enabled is false', function() {
+      cleanSpeak.enabled = false;
+
+      return cleanSpeak.filter('dirty').then(function(result) {
+        expect(result.filtered).to.be.false;
+        expect(cleanSpeak.cacheStats).to.eql({hits: 0, misses: 0});
+      });
+    });
+
+    it('uses a custom store', function() {
+      var store = {
+        get: sinon.spy(function(key, callback) {
+          callback(null, {filtered: true, replacement: '***', matches: [], severity: 'high'});
+        }),
+        set: sinon.spy()
+      };
+      cleanSpeak = new CleanSpeak({host: defaultOptions.host, cache: store});
+
+      return cleanSpeak.filter('bad').then(function(result) {
+        expect(result.replacement).to.equal('***');
+        expect(store.get.firstCall.args[0]).to.match(/^filter:[0-9a-f]{40}$/);
+        expect(store.set).to.not.have.been.called;
+      });
+    });
+
+    it('treats a failing store as a miss', function() {
+      var store = {
+        get: function(key, callback) {
+          callback(new Error('connection lost'));
+        },
+        set: function(key, value, callback) {
+          callback(new Error('connection lost'));
+        }
+      };
+      cleanSpeak = new CleanSpeak({host: defaultOptions.host, cache: store});
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .reply(200, {replacement: 'fine'});
+
+      return cleanSpeak.filter('fine').then(function(result) {
+        expect(result.replacement).to.equal('fine');
+        expect(cleanSpeak.cacheStats.misses).to.equal(1);
+
+        mockRequest.done();
+      });
+    });
+  });
+});
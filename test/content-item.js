@@ -0,0 +1,112 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var uuid = require('uuid');
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('ContentItem', function() {
+  var contentId;
+
+  beforeEach(function() {
+    contentId = uuid();
+  });
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  it('builds typed parts and options', function() {
+    var senderId = uuid();
+    var item = new CleanSpeak.ContentItem(contentId)
+      .sender(senderId, 'Bob')
+      .application('app-1')
+      .text('title', 'Hello')
+      .image('photo', 'http://example.com/photo.jpg')
+      .attribute('mood', 'happy')
+      .requiresApproval();
+
+    expect(item.toParts()).to.eql([
+      {name: 'title', content: 'Hello', type: 'text'},
+      {name: 'photo', content: 'http://example.com/photo.jpg', type: 'image'},
+      {name: 'mood', content: 'happy', type: 'attribute'}
+    ]);
+    expect(item.toOptions()).to.eql({
+      contentId: contentId,
+      senderId: senderId,
+      senderDisplayName: 'Bob',
+      applicationId: 'app-1',
+      requiresApproval: true
+    });
+  });
+
+  it('rejects duplicate part names', function() {
+    var item = new CleanSpeak.ContentItem(contentId).text('title', 'Hello');
+
+    expect(function() {
+      item.video('title', 'http://example.com/video.mp4');
+    }).to.throw(CleanSpeak.ValidationError);
+  });
+
+  it('extracts hyperlinks from text parts when asked', function() {
+    var item = new CleanSpeak.ContentItem(contentId)
+      .text('comment', 'See http://example.com/a, and (https://example.com/b). Also http://example.com/c!')
+      .hyperlink('link', 'http://example.com/c');
+
+    expect(item.toParts().length).to.equal(2);
+
+    expect(item.extractHyperlinks().toParts().slice(2)).to.eql([
+      {name: 'comment-hyperlink-1', content: 'http://example.com/a', type: 'hyperlink'},
+      {name: 'comment-hyperlink-2', content: 'https://example.com/b', type: 'hyperlink'}
+    ]);
+  });
+
+  it('leaves text parts without string content for moderate to reject', function() {
+    var cleanSpeak = new CleanSpeak({host: 'http://cleanspeak.example.com:8001'});
+    var item = new CleanSpeak.ContentItem(contentId).text('body').extractHyperlinks();
+
+    expect(item.toParts()).to.eql([{name: 'body', content: undefined, type: 'text'}]);
+    return cleanSpeak.moderate(item).then(function() {
+      throw new Error('expected a rejection');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(CleanSpeak.ValidationError);
+      expect(err.fieldErrors['content[0].content'][0].code).to.equal('[missing]content[0].content');
+    });
+  });
+
+  it('produces the body moderate sends', function() {
+    var clock = sinon.useFakeTimers(1420070400000, 'Date');
+    var item = new CleanSpeak.ContentItem(contentId)
+      .sender('user-1')
+      .text('title', 'Hello')
+      .generatesAlert();
+
+    expect(item.toBody()).to.eql({
+      content: {
+        applicationId: undefined,
+        createInstant: 1420070400000,
+        parts: [{name: 'title', content: 'Hello', type: 'text'}],
+        senderId: 'user-1',
+        senderDisplayName: undefined
+      },
+      moderation: 'generatesAlert'
+    });
+    clock.restore();
+  });
+
+  it('can be passed to moderate', function() {
+    var cleanSpeak = new CleanSpeak({host: 'http://cleanspeak.example.com:8001'});
+    var mockRequest = nock('http://cleanspeak.example.com:8001')
+      .put('/content/item/moderate/' + contentId)
+      .reply(200, {});
+    var item = new CleanSpeak.ContentItem(contentId).text('title', 'Hello');
+
+    return cleanSpeak.moderate(item, {update: true}).then(function() {
+      mockRequest.done();
+    });
+  });
+});
@@ -0,0 +1,187 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var expect = chai.expect;
+
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('request events', function() {
+  var cleanSpeak, events, defaultOptions;
+
+  var record = function(name) {
+    cleanSpeak.on(name, function(event) {
+      events.push([name, event]);
+    });
+  };
+
+  beforeEach(function() {
+    events = [];
+    defaultOptions = {
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123'
+    };
+  });
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  describe('a successful request', function() {
+    beforeEach(function() {
+      cleanSpeak = new CleanSpeak(defaultOptions);
+      _.each(['request', 'response', 'error', 'retry'], record);
+    });
+
+    it('emits request and response', function() {
+      nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .reply(200, {replacement: 'hello'});
+
+      return cleanSpeak.filter('hello').then(function() {
+        expect(_.pluck(events, 0)).to.eql(['request', 'response']);
+        expect(events[0][1]).to.eql({
+          operation: 'filter',
+          method: 'POST',
+          uri: 'http://cleanspeak.example.com:8001/content/item/filter',
+          attempt: 1,
+          headers: {Authentication: '[redacted]', 'Content-Type': 'application/json'}
+        });
+        expect(events[1][1]).to.include.keys('latency');
+        expect(events[1][1].statusCode).to.equal(200);
+        expect(events[1][1].operation).to.equal('filter');
+      });
+    });
+
+    it('never includes the auth token', function() {
+      nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .reply(200, {replacement: 'hello'});
+
+      return cleanSpeak.filter('hello').then(function() {
+        expect(JSON.stringify(_.map(events, function(event) {
+          return _.omit(event[1], 'error');
+        }))).to.not.contain('abc123');
+      });
+    });
+
+    it('reports the method that was called', function() {
+      nock('http://cleanspeak.example.com:8001')
+        .get('/content/user/action/6e5d4c3b-2a19-4807-b6f5-e4d3c2b1a098')
+        .reply(200, {userActions: []});
+
+      return cleanSpeak.getUserStatus('6e5d4c3b-2a19-4807-b6f5-e4d3c2b1a098').then(function() {
+        expect(events[0][1].operation).to.equal('getUserActions');
+      });
+    });
+  });
+
+  describe('a failed request', function() {
+    beforeEach(function() {
+      defaultOptions.retry = {maxAttempts: 2, baseDelay: 1, jitter: false};
+      cleanSpeak = new CleanSpeak(defaultOptions);
+      _.each(['request', 'response', 'error', 'retry'], record);
+    });
+
+    it('emits error and retry', function() {
+      nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .times(2)
+        .reply(503, 'Service Unavailable');
+
+      return cleanSpeak.filter('hello').then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(_.pluck(events, 0)).to.eql(['request', 'error', 'retry', 'request', 'error']);
+        expect(events[1][1].statusCode).to.equal(503);
+        expect(events[1][1].error).to.be.an.instanceof(CleanSpeak.ServerError);
+        expect(events[2][1]).to.include({attempt: 1, delay: 1, operation: 'filter'});
+        expect(events[3][1].attempt).to.equal(2);
+        expect(events[4][1].error).to.equal(err);
+      });
+    });
+  });
+
+  it('does not throw for failed requests without an error listener', function() {
+    cleanSpeak = new CleanSpeak(defaultOptions);
+    nock('http://cleanspeak.example.com:8001')
+      .post('/content/item/filter')
+      .reply(500, 'Internal Server Error');
+
+    return cleanSpeak.filter('hello').then(function() {
+      throw new Error('expected a rejection');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(CleanSpeak.ServerError);
+    });
+  });
+});
+
+describe('Metrics', function() {
+  var cleanSpeak, metrics;
+
+  beforeEach(function() {
+    metrics = new CleanSpeak.Metrics({buckets: [0.1, 1]});
+    cleanSpeak = new CleanSpeak({
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123',
+      retry: {maxAttempts: 2, baseDelay: 1},
+      metrics: metrics
+    });
+  });
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  it('counts requests and latencies per method in Prometheus format', function() {
+    nock('http://cleanspeak.example.com:8001')
+      .post('/content/item/filter')
+      .reply(503, 'Service Unavailable')
+      .post('/content/item/filter')
+      .reply(200, {replacement: 'hello'});
+
+    return cleanSpeak.filter('hello').then(function() {
+      var text = metrics.toPrometheus();
+
+      expect(text).to.contain('# TYPE cleanspeak_requests_total counter\n');
+      expect(text).to.contain('cleanspeak_requests_total{operation="filter",status="503"} 1\n');
+      expect(text).to.contain('cleanspeak_requests_total{operation="filter",status="200"} 1\n');
+      expect(text).to.contain('cleanspeak_retries_total{operation="filter"} 1\n');
+      expect(text).to.contain('# TYPE cleanspeak_request_duration_seconds histogram\n');
+      expect(text).to.contain('cleanspeak_request_duration_seconds_bucket{operation="filter",le="1"} 2\n');
+      expect(text).to.contain('cleanspeak_request_duration_seconds_bucket{operation="filter",le="+Inf"} 2\n');
+      expect(text).to.contain('cleanspeak_request_duration_seconds_count{operation="filter"} 2\n');
+      expect(text).to.match(/cleanspeak_request_duration_seconds_sum\{operation="filter"\} [0-9.e-]+\n/);
+    });
+  });
+
+  it('counts requests that got no response as errors', function() {
+    cleanSpeak.host = 'http://unreachable.example.com';
+    cleanSpeak.retryPolicy = new CleanSpeak.RetryPolicy();
+
+    return cleanSpeak.getUser('6e5d4c3b-2a19-4807-b6f5-e4d3c2b1a098').then(function() {
+      throw new Error('expected a rejection');
+    }, function() {
+      expect(metrics.toPrometheus()).to.contain('cleanspeak_requests_total{operation="getUser",status="error"} 1\n');
+    });
+  });
+
+  it('creates a collector for metrics: true', function() {
+    cleanSpeak = new CleanSpeak({host: 'http://cleanspeak.example.com:8001', metrics: true});
+
+    expect(cleanSpeak.metrics).to.be.an.instanceof(CleanSpeak.Metrics);
+  });
+
+  it('starts over after reset', function() {
+    nock('http://cleanspeak.example.com:8001')
+      .post('/content/item/filter')
+      .reply(200, {replacement: 'hello'});
+
+    return cleanSpeak.filter('hello').then(function() {
+      metrics.reset();
+
+      expect(metrics.toPrometheus()).to.not.contain('operation="filter"');
+    });
+  });
+});
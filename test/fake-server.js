@@ -0,0 +1,164 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var uuid = require('uuid');
+
+var nock = require('nock');
+
+var CleanSpeak = require('../index');
+
+describe('FakeServer', function() {
+  var server, cleanSpeak;
+
+  before(function() {
+    nock.enableNetConnect('127.0.0.1');
+    server = new CleanSpeak.FakeServer({authToken: 'abc123', words: ['dirty', {word: 'darn', severity: 'mild'}]});
+    return server.listen();
+  });
+  after(function() {
+    nock.disableNetConnect();
+    return server.close();
+  });
+  beforeEach(function() {
+    server.reset();
+    cleanSpeak = new CleanSpeak({
+      host: server.url,
+      authToken: 'abc123',
+      notificationHost: 'http://www.example.com',
+      notificationUsername: 'cleanspeak',
+      notificationPassword: 'secret'
+    });
+  });
+
+  it('filters with its word list', function() {
+    return cleanSpeak.filter('darn, that is dirty').then(function(result) {
+      expect(result.replacement).to.equal('****, that is *****');
+      expect(result.severity).to.equal('high');
+
+      return cleanSpeak.filter('darn, that is dirty', {severity: 'high'});
+    }).then(function(result) {
+      expect(result.replacement).to.equal('darn, that is *****');
+    });
+  });
+
+  it('keeps moderated content', function() {
+    var contentId = uuid.v4();
+    var parts = [{name: 'body', content: 'all good', type: 'text'}];
+
+    return cleanSpeak.moderate(parts, {contentId: contentId}).then(function() {
+      return cleanSpeak.getContentStatus(contentId);
+    }).then(function(status) {
+      expect(status.status).to.equal('approved');
+
+      return cleanSpeak.updateContentParts(contentId, [{name: 'body', content: 'so dirty', type: 'text'}]);
+    }).then(function() {
+      return cleanSpeak.getContent(contentId);
+    }).then(function(content) {
+      expect(content.parts).to.eql([{name: 'body', content: 'so dirty', type: 'text'}]);
+      expect(server.statuses[contentId].status).to.equal('pending');
+
+      server.setContentStatus(contentId, 'rejected', 'moderator-1');
+      return cleanSpeak.getContentStatus(contentId);
+    }).then(function(status) {
+      expect(status).to.include({status: 'rejected', moderatorId: 'moderator-1'});
+
+      return cleanSpeak.flagContent(contentId, uuid.v4(), {reason: 'spam'});
+    }).then(function() {
+      expect(server.flags[contentId][0].reason).to.equal('spam');
+
+      return cleanSpeak.deleteContent(contentId);
+    }).then(function() {
+      return cleanSpeak.getContent(contentId);
+    }).then(function() {
+      throw new Error('expected a rejection');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(CleanSpeak.NotFoundError);
+    });
+  });
+
+  it('keeps users and their actions', function() {
+    var userId = uuid.v4();
+
+    return cleanSpeak.addUser(userId, {name: 'Bob Smith', email: 'bob@example.com'}).then(function() {
+      return cleanSpeak.searchUsers({name: 'bob'});
+    }).then(function(result) {
+      expect(result.total).to.equal(1);
+      expect(result.users[0].email).to.equal('bob@example.com');
+
+      return cleanSpeak.banUser(userId, {reason: 'spam', duration: 60000});
+    }).then(function() {
+      return cleanSpeak.getUserStatus(userId);
+    }).then(function(status) {
+      expect(status.banned).to.be.true;
+
+      return cleanSpeak.unbanUser(userId);
+    }).then(function() {
+      return cleanSpeak.getUserStatus(userId);
+    }).then(function(status) {
+      expect(status.banned).to.be.false;
+    });
+  });
+
+  it('keeps applications and their notification servers', function() {
+    var applicationId;
+
+    return cleanSpeak.createApplication('Contests', {notificationPath: '/moderate'}).then(function(result) {
+      applicationId = result.id;
+      expect(server.applications[applicationId].name).to.equal('Contests');
+      expect(server.notificationServers[result.notificationServerId]).to.include({
+        url: 'http://www.example.com/moderate',
+        httpAuthenticationUsername: 'cleanspeak'
+      });
+
+      return cleanSpeak.deleteApplication(applicationId);
+    }).then(function(result) {
+      expect(result.deletedNotificationServerIds).to.have.length(1);
+      expect(server.applications).to.be.empty;
+      expect(server.notificationServers).to.be.empty;
+    });
+  });
+
+  it('rejects requests with the wrong auth token', function() {
+    cleanSpeak = new CleanSpeak({host: server.url, authToken: 'wrong'});
+
+    return cleanSpeak.filter('hello').then(function() {
+      throw new Error('expected a rejection');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(CleanSpeak.AuthenticationError);
+    });
+  });
+
+  describe('with faults', function() {
+    it('replies with injected errors', function() {
+      server.inject({path: '/content/item/filter', status: 503, times: 1});
+      cleanSpeak.retryPolicy = new CleanSpeak.RetryPolicy({maxAttempts: 2, baseDelay: 1});
+
+      return cleanSpeak.filter('hello').then(function(result) {
+        expect(result.replacement).to.equal('hello');
+        expect(server.requests).to.have.length(2);
+        expect(server.faults).to.be.empty;
+      });
+    });
+
+    it('fails auth when asked to', function() {
+      server.inject({method: 'GET', status: 401});
+
+      return cleanSpeak.getUser(uuid.v4()).then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.AuthenticationError);
+      });
+    });
+
+    it('adds latency', function() {
+      server.inject({path: /filter$/, latency: 200});
+
+      return cleanSpeak.filter('hello', {timeout: 20}).then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.TimeoutError);
+      });
+    });
+  });
+});
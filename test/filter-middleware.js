@@ -0,0 +1,157 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('filterMiddleware', function() {
+  var cleanSpeak, res;
+
+  // Runs the middleware and resolves with what it did: 'next', 'next(err)' or the reply.
+  var run = function(middleware, req) {
+    return new Promise(function(resolve) {
+      res = {
+        writeHead: function(statusCode, headers) {
+          res.statusCode = statusCode;
+          res.headers = headers;
+        },
+        end: function(body) {
+          resolve({statusCode: res.statusCode, body: JSON.parse(body)});
+        }
+      };
+      middleware(req, res, function(err) {
+        resolve(err ? {error: err} : 'next');
+      });
+    });
+  };
+
+  beforeEach(function() {
+    cleanSpeak = new CleanSpeak({
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123'
+    });
+  });
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  var replyWith = function(matches) {
+    nock('http://cleanspeak.example.com:8001')
+      .post('/content/item/filter')
+      .times(10)
+      .reply(200, function(uri, body) {
+        var content = JSON.parse(body).content;
+        var match = matches[content];
+        if (!match) return {replacement: content, matches: []};
+
+        return {
+          replacement: content.replace(match.matched, '****'),
+          matches: [{matched: match.matched, root: match.matched, severity: match.severity, start: 0,
+            length: match.matched.length}]
+        };
+      });
+  };
+
+  it('replaces nested fields and array items', function() {
+    replyWith({darn: {matched: 'darn', severity: 'mild'}, 'darn it': {matched: 'darn', severity: 'mild'}});
+    var req = {body: {comment: 'darn', tags: ['fine', 'darn'], posts: [{title: 'ok'}, {title: 'darn it'}], n: 1}};
+
+    return run(cleanSpeak.filterMiddleware(['comment', 'tags[]', 'posts[].title', 'missing.field']), req)
+      .then(function(outcome) {
+        expect(outcome).to.equal('next');
+        expect(req.body).to.eql({
+          comment: '****',
+          tags: ['fine', '****'],
+          posts: [{title: 'ok'}, {title: '**** it'}],
+          n: 1
+        });
+        expect(req.cleanspeak).to.have.keys(['comment', 'tags[0]', 'tags[1]', 'posts[0].title', 'posts[1].title']);
+        expect(req.cleanspeak['posts[1].title'].severity).to.equal('mild');
+      });
+  });
+
+  it('rejects fields at or above the severity threshold', function() {
+    replyWith({darn: {matched: 'darn', severity: 'mild'}, damn: {matched: 'damn', severity: 'medium'}});
+    var middleware = cleanSpeak.filterMiddleware({
+      'profile.name': {action: 'reject', severity: 'medium'},
+      'profile.bio': {action: 'reject', severity: 'medium'}
+    });
+
+    return run(middleware, {body: {profile: {name: 'damn', bio: 'darn'}}}).then(function(outcome) {
+      expect(outcome).to.eql({
+        statusCode: 422,
+        body: {
+          fieldErrors: {
+            'profile.name': [{code: '[inappropriate]profile.name', message: 'profile.name contains inappropriate content'}]
+          }
+        }
+      });
+    });
+  });
+
+  it('only annotates when asked to', function() {
+    replyWith({darn: {matched: 'darn', severity: 'mild'}});
+    var req = {body: {comment: 'darn'}};
+
+    return run(cleanSpeak.filterMiddleware({comment: 'annotate'}), req).then(function(outcome) {
+      expect(outcome).to.equal('next');
+      expect(req.body.comment).to.equal('darn');
+      expect(req.cleanspeak.comment.filtered).to.be.true;
+    });
+  });
+
+  it('passes filter options on', function() {
+    var sent;
+    nock('http://cleanspeak.example.com:8001')
+      .post('/content/item/filter')
+      .reply(200, function(uri, body) {
+        sent = JSON.parse(body);
+        return {replacement: 'hello', matches: []};
+      });
+
+    return run(cleanSpeak.filterMiddleware(['comment'], {filter: {locale: 'fr'}}), {body: {comment: 'hello'}})
+      .then(function() {
+        expect(sent.filter.blacklist.locales).to.eql(['fr']);
+      });
+  });
+
+  it('passes errors to next', function() {
+    nock('http://cleanspeak.example.com:8001')
+      .post('/content/item/filter')
+      .reply(500, 'Internal Server Error');
+
+    return run(cleanSpeak.filterMiddleware(['comment']), {body: {comment: 'hello'}}).then(function(outcome) {
+      expect(outcome.error).to.be.an.instanceof(CleanSpeak.ServerError);
+    });
+  });
+
+  it('sends nothing while the client is disabled', function() {
+    cleanSpeak = new CleanSpeak({enabled: false});
+    var req = {body: {comment: 'darn'}};
+
+    return run(cleanSpeak.filterMiddleware(['comment'], {action: 'reject'}), req).then(function(outcome) {
+      expect(outcome).to.equal('next');
+      expect(req.body.comment).to.equal('darn');
+      expect(req.cleanspeak.comment.filtered).to.be.false;
+    });
+  });
+
+  it('skips requests without a body', function() {
+    var req = {};
+
+    return run(cleanSpeak.filterMiddleware(['comment']), req).then(function(outcome) {
+      expect(outcome).to.equal('next');
+      expect(req.cleanspeak).to.eql({});
+    });
+  });
+
+  it('refuses unknown actions', function() {
+    expect(function() {
+      cleanSpeak.filterMiddleware({comment: 'delete'});
+    }).to.throw(CleanSpeak.ValidationError, 'Unknown action for comment: delete');
+  });
+});
@@ -0,0 +1,280 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('FilterStream', function() {
+  var cleanSpeak;
+
+  // Reads a stream to the end, resolving with everything it produced.
+  var collect = function(stream) {
+    return new Promise(function(resolve, reject) {
+      var results = [];
+      stream.on('data', function(result) {
+        results.push(result);
+      });
+      stream.on('end', function() {
+        resolve(results);
+      });
+      stream.on('error', reject);
+    });
+  };
+
+  // Replaces filterMany with one that holds each batch until it is released by hand.
+  var holdBatches = function() {
+    var batches = [];
+    cleanSpeak.filterMany = function(contents, opts, callback) {
+      batches.push({
+        contents: contents,
+        release: function() {
+          callback(null, contents.map(function(content) {
+            return {content: content, error: null, result: {replacement: content.toUpperCase()}};
+          }));
+        }
+      });
+    };
+    return batches;
+  };
+
+  beforeEach(function() {
+    cleanSpeak = new CleanSpeak({
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123'
+    });
+  });
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  var replyWithReplacements = function(times) {
+    nock('http://cleanspeak.example.com:8001')
+      .post('/content/item/filter')
+      .times(times)
+      .reply(200, function(uri, body) {
+        var content = JSON.parse(body).content;
+        return {replacement: content.replace('darn', '****'), matches: []};
+      });
+  };
+
+  it('filters messages in size-bounded batches and keeps their order', function() {
+    replyWithReplacements(5);
+    var stream = cleanSpeak.createFilterStream({maxBatchSize: 2, maxWait: 1000});
+    var done = collect(stream);
+
+    ['one', 'darn two', 'three', 'four', 'darn five'].forEach(function(message) {
+      stream.write(message);
+    });
+    stream.end();
+
+    return done.then(function(results) {
+      expect(results.map(function(result) {
+        return result.result.replacement;
+      })).to.deep.equal(['one', '**** two', 'three', 'four', '**** five']);
+      expect(results.map(function(result) {
+        return [result.index, result.batch, result.batchSize];
+      })).to.deep.equal([[0, 0, 2], [1, 0, 2], [2, 1, 2], [3, 1, 2], [4, 2, 1]]);
+      expect(results[0].message).to.equal('one');
+      expect(results[0].error).to.equal(null);
+      expect(results[0].latency).to.be.a('number');
+      expect(results[0].queuedFor).to.be.a('number');
+    });
+  });
+
+  it('sends a partial batch once maxWait has passed', function() {
+    replyWithReplacements(1);
+    var stream = cleanSpeak.createFilterStream({maxBatchSize: 50, maxWait: 10});
+
+    return new Promise(function(resolve) {
+      stream.once('data', resolve);
+      stream.write('darn');
+    }).then(function(result) {
+      expect(result.result.replacement).to.equal('****');
+      expect(result.batchSize).to.equal(1);
+      expect(result.queuedFor).to.be.at.least(9);
+    });
+  });
+
+  it('filters the content of message objects and reports bad messages without stopping', function() {
+    replyWithReplacements(1);
+    var stream = cleanSpeak.createFilterStream({maxBatchSize: 10});
+    var done = collect(stream);
+
+    var message = {roomId: 7, content: 'darn'};
+    stream.write(message);
+    stream.write({roomId: 7});
+    stream.end();
+
+    return done.then(function(results) {
+      expect(results[0].message).to.equal(message);
+      expect(results[0].content).to.equal('darn');
+      expect(results[0].result.replacement).to.equal('****');
+      expect(results[1].content).to.equal(null);
+      expect(results[1].result).to.equal(null);
+      expect(results[1].error).to.be.an.instanceOf(CleanSpeak.ValidationError);
+    });
+  });
+
+  it('reports a failed request on its message only', function() {
+    nock('http://cleanspeak.example.com:8001')
+      .post('/content/item/filter', {content: 'good'})
+      .reply(200, {replacement: 'good', matches: []})
+      .post('/content/item/filter', {content: 'bad'})
+      .reply(400, {fieldErrors: {}});
+    var stream = cleanSpeak.createFilterStream({maxBatchSize: 10});
+    var done = collect(stream);
+
+    stream.write('good');
+    stream.write('bad');
+    stream.end();
+
+    return done.then(function(results) {
+      expect(results[0].result.replacement).to.equal('good');
+      expect(results[1].error).to.be.an.instanceOf(CleanSpeak.ValidationError);
+    });
+  });
+
+  it('keeps the order when a later batch finishes first', function() {
+    var batches = holdBatches();
+    var stream = cleanSpeak.createFilterStream({maxBatchSize: 1, maxBatches: 2});
+    var done = collect(stream);
+
+    stream.write('a');
+    stream.write('b');
+    stream.end();
+
+    return new Promise(function(resolve) {
+      setImmediate(resolve);
+    }).then(function() {
+      expect(batches).to.have.length(2);
+      batches[1].release();
+      batches[0].release();
+      return done;
+    }).then(function(results) {
+      expect(results.map(function(result) {
+        return result.result.replacement;
+      })).to.deep.equal(['A', 'B']);
+    });
+  });
+
+  it('stops accepting messages while maxBatches batches are waiting', function() {
+    var batches = holdBatches();
+    var stream = cleanSpeak.createFilterStream({maxBatchSize: 1, maxBatches: 1});
+    var written = [];
+    collect(stream);
+
+    ['a', 'b', 'c'].forEach(function(message) {
+      stream.write(message, function() {
+        written.push(message);
+      });
+    });
+
+    var tick = function() {
+      return new Promise(function(resolve) {
+        setImmediate(resolve);
+      });
+    };
+    return tick().then(function() {
+      expect(written).to.deep.equal([]);
+      expect(batches).to.have.length(1);
+
+      batches[0].release();
+      return tick();
+    }).then(function() {
+      expect(written).to.deep.equal(['a']);
+      expect(batches).to.have.length(2);
+    });
+  });
+
+  it('stops accepting messages while a slow reader has results waiting', function() {
+    cleanSpeak.filterMany = function(contents, opts, callback) {
+      setImmediate(callback, null, contents.map(function(content) {
+        return {content: content, error: null, result: {replacement: content}};
+      }));
+    };
+    var stream = cleanSpeak.createFilterStream({maxBatchSize: 1, maxWait: 0});
+    var written = 0;
+
+    // Writes the next message a moment after the last one was accepted, so each batch has finished by then.
+    var write = function() {
+      if (written < 20) stream.write('m' + written, function() {
+        written++;
+        setImmediate(write);
+      });
+    };
+    write();
+
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 50);
+    }).then(function() {
+      expect(written).to.be.below(5);
+
+      var done = collect(stream);
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 50);
+      }).then(function() {
+        stream.end();
+        return done;
+      });
+    }).then(function(results) {
+      expect(results).to.have.length(20);
+      expect(results[19].result.replacement).to.equal('m19');
+    });
+  });
+
+  it('filters an async iterable', function() {
+    var batches = holdBatches();
+    var messages = ['a', 'b', 'c'];
+    var source = {};
+    source[Symbol.asyncIterator] = function() {
+      return {
+        next: function() {
+          return Promise.resolve(messages.length ? {value: messages.shift(), done: false} : {done: true});
+        }
+      };
+    };
+
+    var done = collect(cleanSpeak.filterIterable(source, {maxBatchSize: 2, maxWait: 1}));
+    var releaseAll = function() {
+      batches.forEach(function(batch) {
+        if (!batch.released) batch.release();
+        batch.released = true;
+      });
+    };
+    var interval = setInterval(releaseAll, 5);
+
+    return done.then(function(results) {
+      clearInterval(interval);
+      expect(results.map(function(result) {
+        return result.result.replacement;
+      })).to.deep.equal(['A', 'B', 'C']);
+    });
+  });
+
+  it('filters an array, and can be read with for await', function() {
+    replyWithReplacements(2);
+    var iterator = cleanSpeak.filterIterable(['darn', 'fine'])[Symbol.asyncIterator]();
+    var results = [];
+
+    var read = function() {
+      return iterator.next().then(function(step) {
+        if (step.done) return results;
+        results.push(step.value.result.replacement);
+        return read();
+      });
+    };
+    return read().then(function() {
+      expect(results).to.deep.equal(['****', 'fine']);
+    });
+  });
+
+  it('returns nothing for an empty source', function() {
+    return collect(cleanSpeak.filterIterable([])).then(function(results) {
+      expect(results).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('LocalFilter', function() {
+  var localFilter;
+
+  beforeEach(function() {
+    localFilter = new CleanSpeak.LocalFilter({
+      words: [
+        'dirty',
+        {word: 'darn', severity: 'mild', tags: ['Vulgar']},
+        {word: 'merde', severity: 'medium', locale: 'fr'},
+        {word: 'ass', severity: 'medium'}
+      ]
+    });
+  });
+
+  it('passes clean content through', function() {
+    expect(localFilter.filter('all good here')).to.eql({
+      filtered: false,
+      replacement: 'all good here',
+      matches: [],
+      severity: 'none'
+    });
+  });
+
+  it('replaces matched words and reports them', function() {
+    var result = localFilter.filter('what a dirty word');
+
+    expect(result.filtered).to.be.true;
+    expect(result.replacement).to.equal('what a ***** word');
+    expect(result.severity).to.equal('high');
+    expect(result.matches).to.eql([
+      {
+        matched: 'dirty',
+        root: 'dirty',
+        severity: 'high',
+        start: 7,
+        length: 5,
+        locale: null,
+        tags: [],
+        type: 'blacklist',
+        quality: 1
+      }
+    ]);
+  });
+
+  it('normalizes case, leetspeak and repeated characters', function() {
+    var result = localFilter.filter('so D1RRRTYYY!');
+
+    expect(result.replacement).to.equal('so *********!');
+    expect(result.matches[0].matched).to.equal('D1RRRTYYY');
+  });
+
+  it('only matches whole words', function() {
+    expect(localFilter.filter('a classic assessment').filtered).to.be.false;
+    expect(localFilter.filter('what an a$$').replacement).to.equal('what an ***');
+  });
+
+  it('does not collapse doubled letters in entries', function() {
+    localFilter = new CleanSpeak.LocalFilter({words: ['ass', 'boob', 'poop']});
+    var result = localFilter.filter('Come as soon as you can, Bob. pop music');
+
+    expect(result.filtered).to.be.false;
+    expect(result.replacement).to.equal('Come as soon as you can, Bob. pop music');
+    expect(localFilter.filter('what an a$$, BOOOB').replacement).to.equal('what an ***, *****');
+  });
+
+  it('reports the highest severity', function() {
+    expect(localFilter.filter('darn, dirty').severity).to.equal('high');
+  });
+
+  it('honors the severity threshold', function() {
+    var result = localFilter.filter('darn it', {severity: 'medium'});
+
+    expect(result.filtered).to.be.false;
+  });
+
+  it('honors categories', function() {
+    var result = localFilter.filter('darn dirty', {categories: ['Vulgar']});
+
+    expect(result.replacement).to.equal('**** dirty');
+  });
+
+  it('honors the locale', function() {
+    expect(localFilter.filter('merde', {locale: 'en'}).filtered).to.be.false;
+    expect(localFilter.filter('merde', {locale: 'fr'}).filtered).to.be.true;
+  });
+
+  it('uses the replace character', function() {
+    expect(localFilter.filter('darn', {replaceCharacter: '#'}).replacement).to.equal('####');
+  });
+
+  describe('with a client', function() {
+    var cleanSpeak, defaultOptions;
+
+    beforeEach(function() {
+      defaultOptions = {
+        host: 'http://cleanspeak.example.com:8001',
+        authToken: 'abc123',
+        localFilter: {words: ['dirty']}
+      };
+    });
+    afterEach(function() {
+      nock.cleanAll();
+    });
+
+    it('filters locally when enabled is false', function() {
+      defaultOptions.enabled = false;
+      cleanSpeak = new CleanSpeak(defaultOptions);
+
+      return cleanSpeak.filter('dirty').then(function(result) {
+        expect(result.filtered).to.be.true;
+        expect(result.replacement).to.equal('*****');
+      });
+    });
+
+    it('does not fall back unless asked to', function() {
+      cleanSpeak = new CleanSpeak(defaultOptions);
+      nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .reply(503, 'Service Unavailable');
+
+      return cleanSpeak.filter('dirty').then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.ServerError);
+      });
+    });
+
+    describe('with fallback', function() {
+      beforeEach(function() {
+        defaultOptions.localFilter.fallback = true;
+        cleanSpeak = new CleanSpeak(defaultOptions);
+      });
+
+      it('filters locally when the server is unavailable', function() {
+        nock('http://cleanspeak.example.com:8001')
+          .post('/content/item/filter')
+          .reply(503, 'Service Unavailable');
+
+        return cleanSpeak.filter('dirty').then(function(result) {
+          expect(result.replacement).to.equal('*****');
+        });
+      });
+
+      it('filters locally when the request cannot be sent', function() {
+        cleanSpeak.host = 'http://unreachable.example.com';
+
+        return cleanSpeak.filter('dirty').then(function(result) {
+          expect(result.replacement).to.equal('*****');
+        });
+      });
+
+      it('still returns errors for rejected requests', function() {
+        nock('http://cleanspeak.example.com:8001')
+          .post('/content/item/filter')
+          .reply(401, 'Unauthorized');
+
+        return cleanSpeak.filter('dirty').then(function() {
+          throw new Error('expected a rejection');
+        }, function(err) {
+          expect(err).to.be.an.instanceof(CleanSpeak.AuthenticationError);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,221 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var stream = require('stream');
+var uuid = require('uuid');
+
+var CleanSpeak = require('../index');
+
+describe('NotificationReceiver', function() {
+  var cleanSpeak, receiver;
+
+  var send = function(opts, callback) {
+    var req = new stream.PassThrough();
+    req.method = opts.method || 'POST';
+    req.headers = {};
+    if (opts.auth !== false) {
+      req.headers.authorization = 'Basic ' + Buffer.from(opts.auth || 'user:pass').toString('base64');
+    }
+    if (opts.parsed) req.body = opts.body;
+
+    var res = {
+      writeHead: function(statusCode, headers) {
+        res.statusCode = statusCode;
+        res.headers = headers;
+      },
+      end: function() {
+        callback(res);
+      }
+    };
+
+    receiver.handler(req, res);
+    if (!opts.parsed) req.end(typeof opts.body === 'string' ? opts.body : JSON.stringify(opts.body));
+  };
+
+  beforeEach(function() {
+    cleanSpeak = new CleanSpeak({
+      host: 'http://cleanspeak.example.com:8001',
+      notificationHost: 'http://api.example.com',
+      notificationUsername: 'user',
+      notificationPassword: 'pass'
+    });
+    receiver = cleanSpeak.createNotificationReceiver();
+  });
+
+  it('emits an event per content approval', function(done) {
+    var first = uuid(), second = uuid(), moderatorId = uuid();
+    var approvals = [];
+    receiver.on('contentApproval', function(event) {
+      approvals.push(event);
+    });
+
+    var approvalsByContent = {};
+    approvalsByContent[first] = 'approved';
+    approvalsByContent[second] = 'rejected';
+    var body = {type: 'contentApproval', approvals: approvalsByContent, moderatorId: moderatorId};
+    send({body: body}, function(res) {
+      expect(res.statusCode).to.equal(200);
+      expect(approvals).to.have.length(2);
+      expect(approvals[0]).to.eql({
+        type: 'contentApproval',
+        contentId: first,
+        status: 'approved',
+        applicationId: null,
+        moderator: {id: moderatorId, email: null, externalId: null},
+        raw: body
+      });
+      expect(approvals[1].status).to.equal('rejected');
+
+      done();
+    });
+  });
+
+  it('emits content deletions', function(done) {
+    var contentId = uuid(), applicationId = uuid();
+    receiver.on('contentDelete', function(event) {
+      expect(event.contentId).to.equal(contentId);
+      expect(event.applicationId).to.equal(applicationId);
+      expect(event.moderator.email).to.equal('mod@example.com');
+    });
+
+    var body = {type: 'contentDelete', id: contentId, applicationId: applicationId, moderatorEmail: 'mod@example.com'};
+    send({body: body}, function(res) {
+      expect(res.statusCode).to.equal(200);
+
+      done();
+    });
+  });
+
+  it('emits content edits with the new parts', function(done) {
+    var listener = sinon.spy();
+    receiver.on('contentEdit', listener);
+
+    var parts = [{name: 'comment', content: 'edited', type: 'text'}];
+    send({body: {type: 'contentEdit', id: 'abc', content: {parts: parts}}}, function(res) {
+      expect(res.statusCode).to.equal(200);
+      expect(listener.firstCall.args[0].parts).to.eql(parts);
+
+      done();
+    });
+  });
+
+  it('emits user actions', function(done) {
+    var userId = uuid();
+    var listener = sinon.spy();
+    receiver.on('userAction', listener);
+
+    var body = {type: 'userAction', userId: userId, action: 'Ban', applicationIds: ['app'], reason: 'Spam'};
+    send({body: body}, function() {
+      var event = listener.firstCall.args[0];
+      expect(event.userId).to.equal(userId);
+      expect(event.action).to.equal('Ban');
+      expect(event.applicationIds).to.eql(['app']);
+      expect(event.reason).to.equal('Spam');
+      expect(event.comment).to.be.null;
+
+      done();
+    });
+  });
+
+  it('emits every notification as notification too', function(done) {
+    var listener = sinon.spy();
+    receiver.on('notification', listener);
+
+    send({body: {type: 'somethingNew', value: 1}}, function(res) {
+      expect(res.statusCode).to.equal(200);
+      expect(listener.firstCall.args[0]).to.eql({type: 'unknown', raw: {type: 'somethingNew', value: 1}});
+
+      done();
+    });
+  });
+
+  it('uses a body that was already parsed', function(done) {
+    var listener = sinon.spy();
+    receiver.on('contentDelete', listener);
+
+    send({body: {type: 'contentDelete', id: 'abc'}, parsed: true}, function(res) {
+      expect(res.statusCode).to.equal(200);
+      expect(listener).to.have.been.calledOnce;
+
+      done();
+    });
+  });
+
+  it('rejects wrong credentials', function(done) {
+    var listener = sinon.spy();
+    receiver.on('notification', listener);
+
+    send({body: {type: 'contentDelete', id: 'abc'}, auth: 'user:wrong'}, function(res) {
+      expect(res.statusCode).to.equal(401);
+      expect(res.headers['WWW-Authenticate']).to.contain('Basic');
+      expect(listener).to.not.have.been.called;
+
+      done();
+    });
+  });
+
+  it('rejects missing credentials', function(done) {
+    send({body: {type: 'contentDelete', id: 'abc'}, auth: false}, function(res) {
+      expect(res.statusCode).to.equal(401);
+
+      done();
+    });
+  });
+
+  it('refuses to be created without credentials', function() {
+    cleanSpeak = new CleanSpeak({host: 'http://cleanspeak.example.com:8001'});
+
+    expect(function() {
+      cleanSpeak.createNotificationReceiver();
+    }).to.throw(CleanSpeak.ConfigurationError);
+    expect(function() {
+      return new CleanSpeak.NotificationReceiver({username: 'user'});
+    }).to.throw(CleanSpeak.ConfigurationError);
+  });
+
+  it('accepts any request when allowUnauthenticated is set', function(done) {
+    cleanSpeak = new CleanSpeak({host: 'http://cleanspeak.example.com:8001'});
+    receiver = cleanSpeak.createNotificationReceiver({allowUnauthenticated: true});
+
+    send({body: {type: 'contentDelete', id: 'abc'}, auth: false}, function(res) {
+      expect(res.statusCode).to.equal(200);
+
+      done();
+    });
+  });
+
+  it('rejects methods other than POST', function(done) {
+    send({method: 'GET', body: ''}, function(res) {
+      expect(res.statusCode).to.equal(405);
+
+      done();
+    });
+  });
+
+  it('rejects bodies that are not notifications', function(done) {
+    send({body: 'not json'}, function(res) {
+      expect(res.statusCode).to.equal(400);
+
+      send({body: {approvals: {}}}, function(res) {
+        expect(res.statusCode).to.equal(400);
+
+        done();
+      });
+    });
+  });
+
+  it('replies 500 when a listener throws, so CleanSpeak retries', function(done) {
+    receiver.on('contentDelete', function() {
+      throw new Error('database is down');
+    });
+
+    send({body: {type: 'contentDelete', id: 'abc'}}, function(res) {
+      expect(res.statusCode).to.equal(500);
+
+      done();
+    });
+  });
+});
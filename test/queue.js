@@ -0,0 +1,378 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var uuid = require('uuid');
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('queue', function() {
+  var cleanSpeak, mockRequest, defaultOptions;
+
+  beforeEach(function() {
+    defaultOptions = {
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123'
+    };
+  });
+
+  describe('MemoryQueue', function() {
+    var queue;
+
+    beforeEach(function() {
+      queue = new CleanSpeak.MemoryQueue();
+    });
+
+    it('returns jobs in the order they were pushed', function(done) {
+      queue.push({id: 'a', method: 'moderate', args: []}, function() {
+        queue.push({id: 'b', method: 'moderate', args: []}, function() {
+          queue.peek(function(err, job) {
+            expect(job.id).to.equal('a');
+
+            queue.remove('a', function() {
+              queue.peek(function(err, job) {
+                expect(job.id).to.equal('b');
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('returns null when empty', function(done) {
+      queue.peek(function(err, job) {
+        expect(err).to.not.exist;
+        expect(job).to.be.null;
+
+        done();
+      });
+    });
+  });
+
+  describe('FileQueue', function() {
+    var journal;
+
+    beforeEach(function() {
+      journal = path.join(os.tmpdir(), 'cleanspeak-queue-' + uuid() + '.log');
+    });
+    afterEach(function() {
+      if (fs.existsSync(journal)) fs.unlinkSync(journal);
+    });
+
+    it('keeps jobs across instances', function(done) {
+      var queue = new CleanSpeak.FileQueue({path: journal});
+      queue.push({id: 'a', method: 'moderate', args: []}, function() {
+        queue.push({id: 'b', method: 'addUser', args: ['user']}, function() {
+          queue.remove('a', function() {
+            var reopened = new CleanSpeak.FileQueue({path: journal});
+            reopened.size(function(err, count) {
+              expect(count).to.equal(1);
+
+              reopened.peek(function(err, job) {
+                expect(job).to.eql({id: 'b', method: 'addUser', args: ['user']});
+
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('compacts the journal when the queue empties', function(done) {
+      var queue = new CleanSpeak.FileQueue({path: journal});
+      queue.push({id: 'a', method: 'moderate', args: []}, function() {
+        queue.remove('a', function() {
+          expect(fs.readFileSync(journal, 'utf8')).to.equal('');
+          expect(fs.existsSync(journal + '.tmp')).to.be.false;
+
+          done();
+        });
+      });
+    });
+
+    it('ignores a partially written last line', function(done) {
+      fs.writeFileSync(journal, JSON.stringify({op: 'push', job: {id: 'a', method: 'moderate', args: []}}) + '\n{"op":"pu');
+      var queue = new CleanSpeak.FileQueue({path: journal});
+      queue.size(function(err, count) {
+        expect(err).to.not.exist;
+        expect(count).to.equal(1);
+
+        done();
+      });
+    });
+  });
+
+  describe('with a queue configured', function() {
+    var queue, worker;
+
+    beforeEach(function() {
+      queue = new CleanSpeak.MemoryQueue();
+      defaultOptions.queue = queue;
+      cleanSpeak = new CleanSpeak(defaultOptions);
+      worker = new CleanSpeak.QueueWorker(cleanSpeak, {retryDelay: 1, interval: 1});
+    });
+    afterEach(function() {
+      worker.stop();
+      nock.cleanAll();
+    });
+
+    it('queues moderate, flagContent and addUser without sending them', function(done) {
+      var contentId = uuid();
+      cleanSpeak.moderate([{name: 'a', content: 'b', type: 'text'}], {contentId: contentId}, function(err) {
+        expect(err).to.not.exist;
+
+        cleanSpeak.flagContent(contentId, uuid()).then(function() {
+          return cleanSpeak.addUser(uuid(), {lastLoginInstant: new Date(1000)});
+        }).then(function() {
+          queue.size(function(err, count) {
+            expect(count).to.equal(3);
+            expect(queue.jobs[2].args[1].lastLoginInstant).to.equal(1000);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('does not queue when enabled is false', function(done) {
+      cleanSpeak.enabled = false;
+      cleanSpeak.moderate([], function() {
+        queue.size(function(err, count) {
+          expect(count).to.equal(0);
+
+          done();
+        });
+      });
+    });
+
+    it('drains queued calls to the server in order', function(done) {
+      var contentId = uuid();
+      var userId = uuid();
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/moderate/' + contentId)
+        .reply(200, {})
+        .post('/content/item/flag/' + contentId)
+        .reply(200, {})
+        .post('/content/user/' + userId)
+        .reply(200, {})
+        .delete('/content/item/' + contentId)
+        .reply(200, {});
+      var sent = [];
+      worker.on('sent', function(job) {
+        sent.push(job.method);
+      });
+
+      cleanSpeak.moderate([{name: 'a', content: 'b', type: 'text'}], {contentId: contentId}).then(function() {
+        return cleanSpeak.flagContent(contentId, uuid());
+      }).then(function() {
+        return cleanSpeak.addUser(userId);
+      }).then(function() {
+        return cleanSpeak.deleteContent(contentId);
+      }).then(function() {
+        worker.drain(function(err) {
+          expect(err).to.not.exist;
+          expect(sent).to.eql(['moderate', 'flagContent', 'addUser', 'deleteContent']);
+          expect(queue.jobs).to.be.empty;
+
+          mockRequest.done();
+          done();
+        });
+      });
+    });
+
+    it('retries a job until the server accepts it', function(done) {
+      var contentId = uuid();
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/moderate/' + contentId)
+        .times(2)
+        .reply(503, 'Service Unavailable')
+        .post('/content/item/moderate/' + contentId)
+        .reply(200, {});
+      var delays = [];
+      worker.on('retry', function(job, err, delay) {
+        delays.push(delay);
+      });
+
+      cleanSpeak.moderate([{name: 'a', content: 'b', type: 'text'}], {contentId: contentId}, function() {
+        worker.drain(function(err) {
+          expect(err).to.not.exist;
+          expect(delays).to.eql([1, 2]);
+          expect(queue.jobs).to.be.empty;
+
+          mockRequest.done();
+          done();
+        });
+      });
+    });
+
+    it('gives up on a job after maxAttempts', function(done) {
+      var contentId = uuid();
+      worker.maxAttempts = 2;
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/moderate/' + contentId)
+        .times(2)
+        .reply(503, 'Service Unavailable');
+
+      worker.on('failed', function(job, err) {
+        expect(job.method).to.equal('moderate');
+        expect(err).to.be.an.instanceof(CleanSpeak.ServerError);
+      });
+      cleanSpeak.moderate([{name: 'a', content: 'b', type: 'text'}], {contentId: contentId}, function() {
+        worker.drain(function() {
+          expect(queue.jobs).to.be.empty;
+
+          mockRequest.done();
+          done();
+        });
+      });
+    });
+
+    it('fails a job the server rejects without retrying it', function(done) {
+      var contentId = uuid();
+      var failed = [];
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/moderate/' + contentId)
+        .reply(400, {fieldErrors: {}});
+      worker.on('retry', function() {
+        throw new Error('expected no retry');
+      });
+      worker.on('failed', function(job, err) {
+        failed.push(err);
+      });
+
+      cleanSpeak.moderate([{name: 'a', content: 'b', type: 'text'}], {contentId: contentId}, function() {
+        worker.drain(function() {
+          expect(failed).to.have.length(1);
+          expect(failed[0]).to.be.an.instanceof(CleanSpeak.ValidationError);
+          expect(queue.jobs).to.be.empty;
+
+          mockRequest.done();
+          done();
+        });
+      });
+    });
+
+    it('retries a job that was rate limited', function(done) {
+      var contentId = uuid();
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .delete('/content/item/' + contentId)
+        .reply(429, 'Too Many Requests')
+        .delete('/content/item/' + contentId)
+        .reply(200, {});
+
+      cleanSpeak.deleteContent(contentId, function() {
+        worker.drain(function(err) {
+          expect(err).to.not.exist;
+          expect(queue.jobs).to.be.empty;
+
+          mockRequest.done();
+          done();
+        });
+      });
+    });
+
+    it('does not send a flag again once it may have reached the server', function(done) {
+      var contentId = uuid();
+      var failed = [];
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/flag/' + contentId)
+        .reply(503, 'Service Unavailable');
+      worker.on('failed', function(job, err) {
+        failed.push(job.method);
+        expect(err).to.be.an.instanceof(CleanSpeak.ServerError);
+      });
+
+      cleanSpeak.flagContent(contentId, uuid(), function() {
+        worker.drain(function() {
+          expect(failed).to.eql(['flagContent']);
+          expect(queue.jobs).to.be.empty;
+
+          mockRequest.done();
+          done();
+        });
+      });
+    });
+
+    it('retries a flag that was never sent because the circuit breaker was open', function(done) {
+      var contentId = uuid();
+      cleanSpeak.circuitBreaker = new CleanSpeak.CircuitBreaker({failureThreshold: 1, resetTimeout: 50});
+      cleanSpeak.circuitBreaker.record(new CleanSpeak.ServerError('Service Unavailable', {statusCode: 503}));
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/flag/' + contentId)
+        .reply(200, {});
+      var retries = [];
+      worker.on('retry', function(job, err) {
+        retries.push(err);
+      });
+
+      cleanSpeak.flagContent(contentId, uuid(), function() {
+        worker.drain(function(err) {
+          expect(err).to.not.exist;
+          expect(retries[0]).to.be.an.instanceof(CleanSpeak.CircuitOpenError);
+          expect(queue.jobs).to.be.empty;
+
+          mockRequest.done();
+          done();
+        });
+      });
+    });
+
+    it('retries a flag that was never sent because the connection was refused', function(done) {
+      var contentId = uuid();
+      var refused = require('http').createServer();
+      var retries = [];
+      nock.enableNetConnect('127.0.0.1');
+      worker.on('retry', function(job, err) {
+        retries.push(err);
+        cleanSpeak.host = 'http://cleanspeak.example.com:8001';
+      });
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/flag/' + contentId)
+        .reply(200, {});
+
+      // Listen and close again, so the port is free and connecting to it is refused.
+      refused.listen(0, '127.0.0.1', function() {
+        cleanSpeak.host = 'http://127.0.0.1:' + refused.address().port;
+        refused.close(function() {
+          cleanSpeak.flagContent(contentId, uuid(), function() {
+            worker.drain(function(err) {
+              nock.disableNetConnect();
+              expect(err).to.not.exist;
+              expect(retries[0]).to.be.an.instanceof(CleanSpeak.TransportError);
+              expect(retries[0].cause.code).to.equal('ECONNREFUSED');
+              expect(queue.jobs).to.be.empty;
+
+              mockRequest.done();
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('sends jobs as they arrive once started', function(done) {
+      var contentId = uuid();
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/flag/' + contentId)
+        .reply(200, {});
+      worker.on('sent', function(job) {
+        expect(job.args[0]).to.equal(contentId);
+
+        mockRequest.done();
+        done();
+      });
+
+      worker.start();
+      cleanSpeak.flagContent(contentId, uuid());
+    });
+  });
+});
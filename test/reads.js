@@ -0,0 +1,278 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('read APIs', function() {
+  var cleanSpeak, mockRequest;
+
+  beforeEach(function() {
+    cleanSpeak = new CleanSpeak({
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123'
+    });
+  });
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  describe('getApplication', function() {
+    var applicationId = '5c4b3a29-1807-4f6e-9d5c-4b3a29180706';
+
+    it('returns the normalized application', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/system/application/' + applicationId)
+        .reply(200, {application: {id: applicationId, name: 'Contests'}});
+
+      return cleanSpeak.getApplication(applicationId).then(function(application) {
+        expect(application).to.eql({id: applicationId, name: 'Contests', moderationConfiguration: {}});
+
+        mockRequest.done();
+      });
+    });
+
+    it('returns a NotFoundError for a missing application', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/system/application/' + applicationId)
+        .reply(404);
+
+      return cleanSpeak.getApplication(applicationId).then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.NotFoundError);
+      });
+    });
+
+    it('rejects a missing or invalid id without sending anything', function() {
+      return Promise.all([
+        cleanSpeak.getApplication().catch(function(err) {
+          return err;
+        }),
+        cleanSpeak.getApplication('app-1').catch(function(err) {
+          return err;
+        })
+      ]).then(function(errs) {
+        expect(errs[0]).to.be.an.instanceof(CleanSpeak.ValidationError);
+        expect(errs[0].fieldErrors.id[0].code).to.equal('[missing]id');
+        expect(errs[1]).to.be.an.instanceof(CleanSpeak.ValidationError);
+        expect(errs[1].fieldErrors.id[0].code).to.equal('[invalid]id');
+      });
+    });
+
+    it('returns null when enabled is false', function() {
+      cleanSpeak.enabled = false;
+
+      return cleanSpeak.getApplication(applicationId).then(function(application) {
+        expect(application).to.be.null;
+      });
+    });
+  });
+
+  describe('listApplications', function() {
+    it('returns every application', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/system/application')
+        .reply(200, {applications: [{id: 'app-1'}, {id: 'app-2'}]});
+
+      return cleanSpeak.listApplications().then(function(applications) {
+        expect(applications.length).to.equal(2);
+        expect(applications[1].id).to.equal('app-2');
+
+        mockRequest.done();
+      });
+    });
+
+    it('can be iterated', function() {
+      var ids = [];
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/system/application')
+        .reply(200, {applications: [{id: 'app-1'}, {id: 'app-2'}]});
+
+      var applications = cleanSpeak.iterateApplications();
+      var next = function() {
+        return applications.next().then(function(result) {
+          if (result.done) return;
+
+          ids.push(result.value.id);
+          return next();
+        });
+      };
+      return next().then(function() {
+        expect(ids).to.eql(['app-1', 'app-2']);
+
+        mockRequest.done();
+      });
+    });
+  });
+
+  describe('getUser', function() {
+    var userId = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+
+    it('returns the normalized user', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/content/user/' + userId)
+        .reply(200, {user: {id: userId, name: 'Bob', lastLoginInstant: 1420070400000}});
+
+      return cleanSpeak.getUser(userId).then(function(user) {
+        expect(user.name).to.equal('Bob');
+        expect(user.lastLoginInstant).to.eql(new Date(1420070400000));
+        expect(user.displayNames).to.eql([]);
+
+        mockRequest.done();
+      });
+    });
+
+    it('rejects a response that is empty or not JSON', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/content/user/' + userId)
+        .reply(200, '')
+        .get('/content/user/' + userId)
+        .reply(200, 'OK');
+
+      var rejection = function() {
+        return cleanSpeak.getUser(userId).then(function() {
+          throw new Error('expected a rejection');
+        }, function(err) {
+          return err;
+        });
+      };
+      return rejection().then(function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.CleanSpeakError);
+        expect(err.message).to.contain('returned a body that is not JSON');
+        expect(err.cause).to.be.an.instanceof(SyntaxError);
+
+        return rejection();
+      }).then(function(err) {
+        expect(err.body).to.equal('OK');
+
+        mockRequest.done();
+      });
+    });
+
+    it('rejects a missing userId without sending anything', function() {
+      return cleanSpeak.getUser().then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.ValidationError);
+        expect(err.fieldErrors.userId[0].code).to.equal('[missing]userId');
+      });
+    });
+  });
+
+  describe('searchUsers', function() {
+    it('sends the criteria and page', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/content/user/search?name=bob&startRow=0&numberOfResults=25')
+        .reply(200, {users: [{id: 'user-1'}], total: 1});
+
+      return cleanSpeak.searchUsers({name: 'bob'}).then(function(result) {
+        expect(result.total).to.equal(1);
+        expect(result.users[0].id).to.equal('user-1');
+
+        mockRequest.done();
+      });
+    });
+
+    it('iterates through every page', function() {
+      var ids = [];
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/content/user/search?name=bob&startRow=0&numberOfResults=2')
+        .reply(200, {users: [{id: 'user-1'}, {id: 'user-2'}], total: 3})
+        .get('/content/user/search?name=bob&startRow=2&numberOfResults=2')
+        .reply(200, {users: [{id: 'user-3'}], total: 3});
+
+      var users = cleanSpeak.iterateUsers({name: 'bob'}, {pageSize: 2});
+      var next = function(done) {
+        users.next(function(err, result) {
+          if (err || result.done) return done(err);
+
+          ids.push(result.value.id);
+          return next(done);
+        });
+      };
+      return new Promise(function(resolve, reject) {
+        next(function(err) {
+          if (err) return reject(err);
+          return resolve();
+        });
+      }).then(function() {
+        expect(ids).to.eql(['user-1', 'user-2', 'user-3']);
+
+        mockRequest.done();
+      });
+    });
+
+    it('iterates until a short page when there is no total', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/content/user/search?name=bob&startRow=0&numberOfResults=2')
+        .reply(200, {users: [{id: 'user-1'}, {id: 'user-2'}]})
+        .get('/content/user/search?name=bob&startRow=2&numberOfResults=2')
+        .reply(200, {users: [{id: 'user-3'}]});
+
+      var ids = [];
+      var users = cleanSpeak.iterateUsers({name: 'bob'}, {pageSize: 2});
+      var next = function() {
+        return users.next().then(function(result) {
+          if (result.done) return;
+
+          ids.push(result.value.id);
+          return next();
+        });
+      };
+      return next().then(function() {
+        expect(ids).to.eql(['user-1', 'user-2', 'user-3']);
+
+        mockRequest.done();
+      });
+    });
+
+    it('is an async iterator', function() {
+      var users = cleanSpeak.iterateUsers({name: 'bob'});
+
+      expect(users[Symbol.asyncIterator]()).to.equal(users);
+    });
+  });
+
+  describe('getContent', function() {
+    var contentId = '0e9b1f4a-3c2d-4b5e-8f6a-7b8c9d0e1f2a';
+
+    it('returns the normalized content', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/content/item/' + contentId)
+        .reply(200, {content: {
+          id: contentId,
+          createInstant: 1420070400000,
+          parts: [{name: 'comment', content: 'hello', type: 'text'}]
+        }});
+
+      return cleanSpeak.getContent(contentId).then(function(content) {
+        expect(content.createInstant).to.eql(new Date(1420070400000));
+        expect(content.parts[0].content).to.equal('hello');
+        expect(content.senderId).to.be.null;
+
+        mockRequest.done();
+      });
+    });
+
+    it('rejects a missing or invalid contentId without sending anything', function() {
+      return Promise.all([
+        cleanSpeak.getContent().catch(function(err) {
+          return err;
+        }),
+        cleanSpeak.getContent('content-1').catch(function(err) {
+          return err;
+        })
+      ]).then(function(errs) {
+        expect(errs[0]).to.be.an.instanceof(CleanSpeak.ValidationError);
+        expect(errs[0].fieldErrors.contentId[0].code).to.equal('[missing]contentId');
+        expect(errs[1]).to.be.an.instanceof(CleanSpeak.ValidationError);
+        expect(errs[1].fieldErrors.contentId[0].code).to.equal('[invalid]contentId');
+      });
+    });
+  });
+});
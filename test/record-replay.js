@@ -0,0 +1,154 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+var chai = require('chai');
+var expect = chai.expect;
+var uuid = require('uuid').v4;
+
+var nock = require('nock');
+
+var CleanSpeak = require('../index');
+
+describe('record and replay', function() {
+  var server, fixture, recorder, contentId, userId;
+
+  before(function() {
+    nock.enableNetConnect('127.0.0.1');
+    server = new CleanSpeak.FakeServer({authToken: 'abc123', words: ['dirty']});
+    return server.listen();
+  });
+  after(function() {
+    nock.disableNetConnect();
+    return server.close();
+  });
+
+  beforeEach(function() {
+    server.reset();
+    fixture = path.join(os.tmpdir(), 'cleanspeak-fixture-' + uuid() + '.jsonl');
+    contentId = uuid();
+    userId = uuid();
+    recorder = new CleanSpeak({
+      host: server.url,
+      authToken: 'abc123',
+      notificationUsername: 'cleanspeak',
+      notificationPassword: 'secret',
+      transport: new CleanSpeak.RecordingTransport({path: fixture})
+    });
+
+    return recorder.filter('so dirty').then(function() {
+      return recorder.moderate([{name: 'body', content: 'hello', type: 'text'}], {contentId: contentId});
+    }).then(function() {
+      return recorder.createNotificationServer({url: 'http://www.example.com/moderate'});
+    }).then(function() {
+      return recorder.getUser(userId).catch(function() {});
+    });
+  });
+  afterEach(function() {
+    recorder.transport.close();
+    if (fs.existsSync(fixture)) fs.unlinkSync(fixture);
+  });
+
+  it('writes every exchange to the fixture file', function() {
+    var exchanges = _.map(_.compact(fs.readFileSync(fixture, 'utf8').split('\n')), JSON.parse);
+
+    expect(_.pluck(_.pluck(exchanges, 'request'), 'path')).to.eql([
+      '/content/item/filter',
+      '/content/item/moderate/' + contentId,
+      '/system/notification-server',
+      '/content/user/' + userId
+    ]);
+    expect(exchanges[0].response.statusCode).to.equal(200);
+    expect(JSON.parse(exchanges[0].response.body).replacement).to.equal('so *****');
+    expect(exchanges[3].response.statusCode).to.equal(404);
+  });
+
+  it('redacts the auth token and notification password', function() {
+    var text = fs.readFileSync(fixture, 'utf8');
+
+    expect(text).to.not.contain('abc123');
+    expect(text).to.not.contain('secret');
+    expect(text).to.contain('[redacted]');
+  });
+
+  describe('replaying', function() {
+    var transport, cleanSpeak;
+
+    beforeEach(function() {
+      transport = new CleanSpeak.ReplayTransport({path: fixture});
+      cleanSpeak = new CleanSpeak({
+        host: 'http://cleanspeak.example.com:8001',
+        authToken: 'another-token',
+        notificationUsername: 'cleanspeak',
+        notificationPassword: 'secret',
+        transport: transport
+      });
+      server.reset();
+    });
+
+    it('serves the recorded responses', function() {
+      return cleanSpeak.filter('so dirty').then(function(result) {
+        expect(result.replacement).to.equal('so *****');
+
+        // The createInstant in the body differs from the recording, which is fine.
+        return cleanSpeak.moderate([{name: 'body', content: 'hello', type: 'text'}], {contentId: contentId});
+      }).then(function() {
+        return cleanSpeak.createNotificationServer({url: 'http://www.example.com/moderate'});
+      }).then(function(notificationServer) {
+        expect(notificationServer.url).to.equal('http://www.example.com/moderate');
+
+        return cleanSpeak.getUser(userId);
+      }).then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.NotFoundError);
+        expect(server.requests).to.be.empty;
+        transport.verify();
+      });
+    });
+
+    it('fails requests that were not recorded', function() {
+      return cleanSpeak.filter('something else').then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.FixtureError);
+        expect(err).to.not.be.an.instanceof(CleanSpeak.TransportError);
+        expect(err.message).to.contain('No recorded response');
+        expect(function() {
+          transport.verify();
+        }).to.throw('POST /content/item/filter {"content":"something else"}');
+      });
+    });
+
+    it('uses each recorded response once', function() {
+      return cleanSpeak.filter('so dirty').then(function() {
+        return cleanSpeak.filter('so dirty');
+      }).then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.FixtureError);
+      });
+    });
+
+    it('does not retry, trip the breaker or fall back on requests that were not recorded', function() {
+      cleanSpeak = new CleanSpeak({
+        host: 'http://cleanspeak.example.com:8001',
+        authToken: 'another-token',
+        transport: transport,
+        retry: {maxAttempts: 3, baseDelay: 1},
+        circuitBreaker: {failureThreshold: 1},
+        localFilter: {words: ['else'], fallback: true}
+      });
+
+      return cleanSpeak.filter('something else').then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.FixtureError);
+        expect(transport.unmatched).to.have.length(1);
+        expect(cleanSpeak.circuitBreaker.state).to.equal(CleanSpeak.CircuitBreaker.CLOSED);
+      });
+    });
+  });
+});
@@ -0,0 +1,328 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var uuid = require('uuid');
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+var AbortController = require('./support/abort-controller');
+
+describe('retries', function() {
+  var cleanSpeak, mockRequest, defaultOptions;
+
+  beforeEach(function() {
+    defaultOptions = {
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123',
+      retry: {maxAttempts: 3, baseDelay: 1, jitter: false}
+    };
+  });
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  describe('RetryPolicy', function() {
+    it('does not retry by default', function() {
+      var policy = new CleanSpeak.RetryPolicy();
+      expect(policy.shouldRetry(new CleanSpeak.ServerError('', {statusCode: 503}), 1, true)).to.be.false;
+    });
+
+    it('doubles the delay up to maxDelay', function() {
+      var policy = new CleanSpeak.RetryPolicy({baseDelay: 100, maxDelay: 300, jitter: false});
+      expect([1, 2, 3].map(policy.delay.bind(policy))).to.eql([100, 200, 300]);
+    });
+
+    it('keeps jittered delays within the computed delay', function() {
+      var policy = new CleanSpeak.RetryPolicy({baseDelay: 100});
+      for (var i = 0; i < 20; i++) {
+        expect(policy.delay(2)).to.be.within(0, 200);
+      }
+    });
+
+    it('only retries configured status codes and transport errors', function() {
+      var policy = new CleanSpeak.RetryPolicy({maxAttempts: 2});
+      expect(policy.shouldRetry(new CleanSpeak.ServerError('', {statusCode: 503}), 1, true)).to.be.true;
+      expect(policy.shouldRetry(new CleanSpeak.TransportError(''), 1, true)).to.be.true;
+      expect(policy.shouldRetry(new CleanSpeak.ValidationError('', {statusCode: 400}), 1, true)).to.be.false;
+      expect(policy.shouldRetry(new CleanSpeak.ServerError('', {statusCode: 503}), 2, true)).to.be.false;
+      expect(policy.shouldRetry(new CleanSpeak.ServerError('', {statusCode: 503}), 1, false)).to.be.false;
+    });
+  });
+
+  describe('with a retry policy', function() {
+    beforeEach(function() {
+      cleanSpeak = new CleanSpeak(defaultOptions);
+    });
+
+    it('retries filter after a 503', function(done) {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .reply(503, 'Service Unavailable')
+        .post('/content/item/filter')
+        .reply(200, {replacement: 'fine'});
+
+      cleanSpeak.filter('fine', function(err, result) {
+        expect(err).to.not.exist;
+        expect(result.replacement).to.equal('fine');
+
+        mockRequest.done();
+        done();
+      });
+    });
+
+    it('gives up after maxAttempts', function(done) {
+      var id = uuid();
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .put('/system/application/' + id)
+        .times(3)
+        .reply(500, 'Internal Server Error');
+
+      cleanSpeak.updateApplication(id, {name: 'name'}, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.ServerError);
+
+        mockRequest.done();
+        done();
+      });
+    });
+
+    it('does not retry a 400', function(done) {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .reply(400, {})
+        .post('/content/item/filter')
+        .reply(200, {replacement: 'fine'});
+
+      cleanSpeak.filter('fine', function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.ValidationError);
+        expect(mockRequest.isDone()).to.be.false;
+
+        done();
+      });
+    });
+
+    it('retries moderate', function(done) {
+      var contentId = uuid();
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/moderate/' + contentId)
+        .reply(502, 'Bad Gateway')
+        .post('/content/item/moderate/' + contentId)
+        .reply(200, {});
+
+      cleanSpeak.moderate([{name: 'a', content: 'b', type: 'text'}], {contentId: contentId}, function(err) {
+        expect(err).to.not.exist;
+
+        mockRequest.done();
+        done();
+      });
+    });
+
+    it('does not retry flagContent', function(done) {
+      var contentId = uuid();
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/flag/' + contentId)
+        .reply(503, 'Service Unavailable')
+        .post('/content/item/flag/' + contentId)
+        .reply(200, {});
+
+      cleanSpeak.flagContent(contentId, uuid(), function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.ServerError);
+        expect(mockRequest.isDone()).to.be.false;
+
+        done();
+      });
+    });
+  });
+
+  describe('circuit breaker', function() {
+    var clock;
+
+    beforeEach(function() {
+      defaultOptions.retry = null;
+      defaultOptions.circuitBreaker = {failureThreshold: 2, resetTimeout: 1000};
+      cleanSpeak = new CleanSpeak(defaultOptions);
+      clock = sinon.useFakeTimers(new Date().valueOf(), 'Date');
+    });
+    afterEach(function() {
+      clock.restore();
+    });
+
+    var fail = function(times) {
+      return nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .times(times)
+        .reply(503, 'Service Unavailable');
+    };
+
+    it('fails fast once the threshold is reached', function() {
+      mockRequest = fail(2);
+
+      return cleanSpeak.filter('a').catch(function() {
+        return cleanSpeak.filter('a');
+      }).catch(function() {
+        return cleanSpeak.filter('a');
+      }).then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.CircuitOpenError);
+        expect(cleanSpeak.circuitBreaker.state).to.equal('open');
+
+        mockRequest.done();
+      });
+    });
+
+    it('does not count client errors', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/item/filter')
+        .times(3)
+        .reply(400, {});
+
+      return cleanSpeak.filter('a').catch(function() {
+        return cleanSpeak.filter('a');
+      }).catch(function() {
+        return cleanSpeak.filter('a');
+      }).catch(function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.ValidationError);
+        expect(cleanSpeak.circuitBreaker.state).to.equal('closed');
+
+        mockRequest.done();
+      });
+    });
+
+    it('closes again after a successful trial request', function() {
+      mockRequest = fail(2);
+
+      return cleanSpeak.filter('a').catch(function() {
+        return cleanSpeak.filter('a');
+      }).catch(function() {
+        clock.tick(1000);
+        mockRequest = nock('http://cleanspeak.example.com:8001')
+          .post('/content/item/filter')
+          .reply(200, {replacement: 'a'});
+
+        return cleanSpeak.filter('a');
+      }).then(function(result) {
+        expect(result.replacement).to.equal('a');
+        expect(cleanSpeak.circuitBreaker.state).to.equal('closed');
+
+        mockRequest.done();
+      });
+    });
+
+    it('opens again when the trial request fails', function() {
+      mockRequest = fail(3);
+
+      return cleanSpeak.filter('a').catch(function() {
+        return cleanSpeak.filter('a');
+      }).catch(function() {
+        clock.tick(1000);
+        return cleanSpeak.filter('a');
+      }).catch(function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.ServerError);
+        expect(cleanSpeak.circuitBreaker.state).to.equal('open');
+
+        mockRequest.done();
+      });
+    });
+
+    it('lets another trial through when one has not finished within resetTimeout', function() {
+      mockRequest = fail(2);
+
+      return cleanSpeak.filter('a').catch(function() {
+        return cleanSpeak.filter('a');
+      }).catch(function() {
+        var transport = cleanSpeak.transport;
+        var hung = false;
+        cleanSpeak.transport = {
+          send: function(request, callback) {
+            if (hung) return transport.send(request, callback);
+            hung = true;
+          }
+        };
+
+        clock.tick(1000);
+        cleanSpeak.filter('a');
+        expect(cleanSpeak.circuitBreaker.state).to.equal('half-open');
+        expect(cleanSpeak.circuitBreaker.isOpen()).to.be.true;
+
+        clock.tick(1000);
+        expect(cleanSpeak.circuitBreaker.isOpen()).to.be.false;
+        mockRequest = nock('http://cleanspeak.example.com:8001')
+          .post('/content/item/filter')
+          .reply(200, {replacement: 'a'});
+        return cleanSpeak.filter('a');
+      }).then(function(result) {
+        expect(result.replacement).to.equal('a');
+        expect(cleanSpeak.circuitBreaker.state).to.equal('closed');
+
+        mockRequest.done();
+      });
+    });
+
+    it('does not count a cancelled trial request', function() {
+      var controller = new AbortController();
+      mockRequest = fail(2);
+
+      return cleanSpeak.filter('a').catch(function() {
+        return cleanSpeak.filter('a');
+      }).catch(function() {
+        clock.tick(1000);
+        nock('http://cleanspeak.example.com:8001')
+          .post('/content/item/filter')
+          .delay(200)
+          .reply(200, {replacement: 'a'});
+
+        var trial = cleanSpeak.filter('a', {signal: controller.signal});
+        setTimeout(function() {
+          controller.abort();
+        }, 10);
+        return trial;
+      }).then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.AbortError);
+        expect(cleanSpeak.circuitBreaker.state).to.equal('open');
+        expect(cleanSpeak.circuitBreaker.failures).to.equal(2);
+
+        nock.cleanAll();
+        mockRequest = nock('http://cleanspeak.example.com:8001')
+          .post('/content/item/filter')
+          .reply(200, {replacement: 'a'});
+        return cleanSpeak.filter('a');
+      }).then(function(result) {
+        expect(result.replacement).to.equal('a');
+        expect(cleanSpeak.circuitBreaker.state).to.equal('closed');
+
+        mockRequest.done();
+      });
+    });
+
+    describe('with fallback', function() {
+      beforeEach(function() {
+        cleanSpeak.circuitBreaker.fallback = true;
+      });
+
+      it('behaves as if disabled while open', function() {
+        mockRequest = fail(2);
+
+        return cleanSpeak.filter('a').catch(function() {
+          return cleanSpeak.filter('a');
+        }).catch(function() {
+          return cleanSpeak.filter('dirty');
+        }).then(function(result) {
+          expect(result.filtered).to.be.false;
+          expect(result.replacement).to.equal('dirty');
+
+          return cleanSpeak.flagContent(uuid(), uuid());
+        }).then(function(result) {
+          expect(result).to.not.exist;
+
+          mockRequest.done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+/*
+ * A minimal stand-in for AbortController, which Node only has from version 15. It provides what the client and the
+ * HTTP transport use: signal.aborted and the abort event.
+ */
+function AbortController() {
+  var listeners = [];
+
+  this.signal = {
+    aborted: false,
+    addEventListener: function(type, listener) {
+      if (type === 'abort') listeners.push(listener);
+    },
+    removeEventListener: function(type, listener) {
+      listeners = listeners.filter(function(other) {
+        return other !== listener;
+      });
+    }
+  };
+  this.abort = function() {
+    if (this.signal.aborted) return;
+
+    this.signal.aborted = true;
+    listeners.slice().forEach(function(listener) {
+      listener();
+    });
+  };
+}
+
+module.exports = AbortController;
@@ -0,0 +1,235 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+var AbortController = require('./support/abort-controller');
+
+describe('timeouts and cancellation', function() {
+  var userId = '2b3c4d5e-6f70-4819-a2b3-c4d5e6f70819';
+  var sent, cleanSpeak, defaultOptions;
+
+  // A transport that never answers, like a hung server.
+  var hangingTransport = {
+    send: function(request) {
+      sent.push(request);
+    }
+  };
+
+  var expectRejection = function(promise, ErrorClass) {
+    return promise.then(function() {
+      throw new Error('expected a rejection');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(ErrorClass);
+      return err;
+    });
+  };
+
+  beforeEach(function() {
+    sent = [];
+    defaultOptions = {
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123',
+      transport: hangingTransport
+    };
+  });
+
+  it('fails requests that take longer than the client timeout', function() {
+    defaultOptions.timeout = 20;
+    cleanSpeak = new CleanSpeak(defaultOptions);
+
+    return expectRejection(cleanSpeak.filter('hello'), CleanSpeak.TimeoutError).then(function(err) {
+      expect(err).to.be.an.instanceof(CleanSpeak.TransportError);
+      expect(err.message).to.equal('POST http://cleanspeak.example.com:8001/content/item/filter timed out after 20ms');
+      expect(sent[0].timeout).to.equal(20);
+    });
+  });
+
+  it('reports timeouts from the transport as TimeoutErrors', function() {
+    cleanSpeak = new CleanSpeak(defaultOptions);
+    cleanSpeak.transport = {
+      send: function(request, callback) {
+        var err = new Error('Request timed out after 10ms');
+        err.code = 'ETIMEDOUT';
+        callback(err);
+      }
+    };
+
+    return expectRejection(cleanSpeak.filter('hello'), CleanSpeak.TimeoutError).then(function(err) {
+      expect(err.cause.code).to.equal('ETIMEDOUT');
+    });
+  });
+
+  it('applies a per-call timeout', function() {
+    cleanSpeak = new CleanSpeak(defaultOptions);
+
+    return expectRejection(cleanSpeak.getUser(userId, {timeout: 20}), CleanSpeak.TimeoutError);
+  });
+
+  it('does not pass call options on to the method', function() {
+    var controller = new AbortController();
+    cleanSpeak = new CleanSpeak(defaultOptions);
+    cleanSpeak.transport = {
+      send: function(request, callback) {
+        sent.push(request);
+        callback(null, {statusCode: 200, headers: {}, body: JSON.stringify({replacement: 'hello'})});
+      }
+    };
+
+    return cleanSpeak.filter('hello', {timeout: 1000, signal: controller.signal}).then(function() {
+      expect(JSON.parse(sent[0].body)).to.eql({content: 'hello'});
+      expect(sent[0].signal).to.equal(controller.signal);
+      expect(sent[0].timeout).to.be.within(1, 1000);
+    });
+  });
+
+  it('shares the deadline between retries', function() {
+    defaultOptions.retry = {maxAttempts: 10, baseDelay: 5, jitter: false};
+    cleanSpeak = new CleanSpeak(defaultOptions);
+    cleanSpeak.transport = {
+      send: function(request, callback) {
+        sent.push(request);
+        setTimeout(function() {
+          callback(null, {statusCode: 503, headers: {}, body: 'Service Unavailable'});
+        }, 15);
+      }
+    };
+
+    var start = Date.now();
+    return expectRejection(cleanSpeak.filter('hello', {timeout: 40}), CleanSpeak.CleanSpeakError).then(function() {
+      expect(Date.now() - start).to.be.below(100);
+      expect(sent.length).to.be.below(4);
+      expect(sent[sent.length - 1].timeout).to.be.below(40);
+    });
+  });
+
+  it('shares the deadline with the requests of nested calls', function() {
+    cleanSpeak = new CleanSpeak(defaultOptions);
+
+    return expectRejection(cleanSpeak.getUserStatus(userId, {timeout: 20}), CleanSpeak.TimeoutError);
+  });
+
+  it('uses the call deadline for notification server requests', function() {
+    cleanSpeak = new CleanSpeak(defaultOptions);
+
+    return expectRejection(cleanSpeak.listNotificationServers({timeout: 20}), CleanSpeak.TimeoutError);
+  });
+
+  describe('with a signal', function() {
+    beforeEach(function() {
+      cleanSpeak = new CleanSpeak(defaultOptions);
+    });
+
+    it('cancels an in-flight call', function() {
+      var controller = new AbortController();
+      var promise = cleanSpeak.filter('hello', {signal: controller.signal});
+      setTimeout(function() {
+        controller.abort();
+      }, 10);
+
+      return expectRejection(promise, CleanSpeak.AbortError).then(function(err) {
+        expect(err.message).to.equal('POST http://cleanspeak.example.com:8001/content/item/filter was aborted');
+        expect(sent.length).to.equal(1);
+      });
+    });
+
+    it('does not send anything once the signal has aborted', function() {
+      var controller = new AbortController();
+      controller.abort();
+
+      return expectRejection(cleanSpeak.getContent('8d7c6b5a-4f3e-4d2c-9b1a-0f9e8d7c6b5a', {signal: controller.signal}),
+        CleanSpeak.AbortError).then(function() {
+          expect(sent).to.be.empty;
+        });
+    });
+
+    it('does not retry aborted calls', function() {
+      var controller = new AbortController();
+      cleanSpeak.retryPolicy = new CleanSpeak.RetryPolicy({maxAttempts: 3});
+      var promise = cleanSpeak.getUser(userId, {signal: controller.signal});
+      setTimeout(function() {
+        controller.abort();
+      }, 10);
+
+      return expectRejection(promise, CleanSpeak.AbortError).then(function() {
+        expect(sent.length).to.equal(1);
+      });
+    });
+  });
+
+  describe('while provisioning an application', function() {
+    var id = '7f3b5c2e-8a41-4d2b-9c6e-1f0a2b3c4d5e';
+
+    // Answers every request except the notification server's, which hangs.
+    beforeEach(function() {
+      defaultOptions.notificationHost = 'http://app.example.com';
+      defaultOptions.transport = {
+        send: function(request, callback) {
+          sent.push(request);
+          if (/notification-server/.test(request.uri)) return;
+
+          var body = request.method === 'POST' ? {application: {id: id}} : {};
+          callback(null, {statusCode: 200, headers: {}, body: JSON.stringify(body)});
+        }
+      };
+      cleanSpeak = new CleanSpeak(defaultOptions);
+    });
+
+    var expectRolledBack = function(err) {
+      expect(err.rolledBack).to.be.true;
+      expect(err.rollbackError).to.be.undefined;
+      expect(sent[sent.length - 1].method).to.equal('DELETE');
+      expect(sent[sent.length - 1].uri).to.equal('http://cleanspeak.example.com:8001/system/application/' + id);
+      expect(sent[sent.length - 1].signal).to.be.undefined;
+    };
+
+    it('deletes the application even after the call times out', function() {
+      var promise = cleanSpeak.createApplication('app', {notificationPath: '/n', timeout: 30});
+
+      return expectRejection(promise, CleanSpeak.TimeoutError).then(expectRolledBack);
+    });
+
+    it('deletes the application even after the call is cancelled', function() {
+      var controller = new AbortController();
+      var promise = cleanSpeak.createApplication('app', {notificationPath: '/n', signal: controller.signal});
+      setTimeout(function() {
+        controller.abort();
+      }, 10);
+
+      return expectRejection(promise, CleanSpeak.AbortError).then(expectRolledBack);
+    });
+  });
+
+  describe('with fallbackOnTimeout', function() {
+    beforeEach(function() {
+      defaultOptions.fallbackOnTimeout = true;
+    });
+
+    it('returns the disabled-mode filter result', function() {
+      cleanSpeak = new CleanSpeak(defaultOptions);
+
+      return cleanSpeak.filter('hello', {timeout: 20}).then(function(result) {
+        expect(result).to.eql({filtered: false, replacement: 'hello', matches: [], severity: 'none'});
+      });
+    });
+
+    it('uses the local filter when there is one', function() {
+      defaultOptions.localFilter = {words: ['dirty']};
+      cleanSpeak = new CleanSpeak(defaultOptions);
+
+      return cleanSpeak.filter('dirty', {timeout: 20}).then(function(result) {
+        expect(result.replacement).to.equal('*****');
+      });
+    });
+
+    it('still fails other calls', function() {
+      cleanSpeak = new CleanSpeak(defaultOptions);
+
+      return expectRejection(cleanSpeak.getUser(userId, {timeout: 20}), CleanSpeak.TimeoutError);
+    });
+  });
+});
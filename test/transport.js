@@ -0,0 +1,170 @@
+'use strict';
+
+var http = require('http');
+var chai = require('chai');
+var expect = chai.expect;
+
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+var AbortController = require('./support/abort-controller');
+
+describe('transport', function() {
+  describe('a custom transport', function() {
+    var sent, cleanSpeak;
+
+    beforeEach(function() {
+      sent = [];
+      cleanSpeak = new CleanSpeak({
+        host: 'http://cleanspeak.example.com:8001',
+        authToken: 'abc123',
+        timeout: 2000,
+        transport: {
+          send: function(request, callback) {
+            sent.push(request);
+            setImmediate(function() {
+              callback(null, {statusCode: 200, headers: {}, body: JSON.stringify({replacement: 'fine'})});
+            });
+          }
+        }
+      });
+    });
+
+    it('sends every request', function() {
+      return cleanSpeak.filter('fine').then(function(result) {
+        expect(result.replacement).to.equal('fine');
+        expect(sent).to.eql([{
+          method: 'POST',
+          uri: 'http://cleanspeak.example.com:8001/content/item/filter',
+          headers: {Authentication: 'abc123', 'Content-Type': 'application/json'},
+          body: JSON.stringify({content: 'fine'}),
+          timeout: 2000
+        }]);
+      });
+    });
+
+    it('leaves out the Authentication header without an authToken', function() {
+      cleanSpeak.authToken = undefined;
+
+      return cleanSpeak.filter('fine').then(function() {
+        expect(sent[0].headers).to.eql({'Content-Type': 'application/json'});
+      });
+    });
+
+    it('turns transport failures into TransportErrors', function() {
+      cleanSpeak.transport = {
+        send: function(request, callback) {
+          callback(new Error('proxy refused the connection'));
+        }
+      };
+
+      return cleanSpeak.filter('fine').then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.TransportError);
+        expect(err.cause.message).to.equal('proxy refused the connection');
+      });
+    });
+  });
+
+  describe('HttpTransport', function() {
+    var server, host, handler, transport;
+
+    before(function(done) {
+      nock.enableNetConnect('127.0.0.1');
+      server = http.createServer(function(req, res) {
+        handler(req, res);
+      });
+      server.listen(0, '127.0.0.1', function() {
+        host = 'http://127.0.0.1:' + server.address().port;
+        done();
+      });
+    });
+    after(function(done) {
+      nock.disableNetConnect();
+      server.close(done);
+    });
+    afterEach(function() {
+      if (transport) transport.close();
+    });
+
+    it('sends the request and reads the response', function(done) {
+      handler = function(req, res) {
+        var body = '';
+        req.on('data', function(chunk) {
+          body += chunk;
+        });
+        req.on('end', function() {
+          res.writeHead(200, {'Content-Type': 'application/json'});
+          res.end(JSON.stringify({method: req.method, length: req.headers['content-length'], body: body}));
+        });
+      };
+      transport = new CleanSpeak.HttpTransport({keepAlive: true});
+
+      transport.send({method: 'PUT', uri: host + '/echo', headers: {}, body: 'héllo'}, function(err, response) {
+        expect(err).to.not.exist;
+        expect(response.statusCode).to.equal(200);
+        expect(JSON.parse(response.body)).to.eql({method: 'PUT', length: '6', body: 'héllo'});
+
+        done();
+      });
+    });
+
+    it('sends requests for a client without an authToken', function() {
+      handler = function(req, res) {
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({replacement: 'auth: ' + (req.headers.authentication || 'none')}));
+      };
+      var cleanSpeak = new CleanSpeak({host: host});
+      transport = cleanSpeak.transport;
+
+      return cleanSpeak.filter('hi').then(function(result) {
+        expect(result.replacement).to.equal('auth: none');
+      });
+    });
+
+    it('passes on errors http.request throws', function(done) {
+      transport = new CleanSpeak.HttpTransport();
+
+      transport.send({method: 'GET', uri: host + '/echo', headers: {Authentication: undefined}}, function(err) {
+        expect(err).to.be.an.instanceof(Error);
+
+        done();
+      });
+    });
+
+    it('fails requests that take longer than the timeout', function(done) {
+      var pending;
+      handler = function(req, res) {
+        pending = res;
+      };
+      transport = new CleanSpeak.HttpTransport();
+
+      transport.send({method: 'GET', uri: host + '/slow', headers: {}, timeout: 50}, function(err) {
+        expect(err.message).to.equal('Request timed out after 50ms');
+        expect(err.code).to.equal('ETIMEDOUT');
+        pending.end();
+
+        done();
+      });
+    });
+
+    it('stops requests when the signal aborts', function(done) {
+      var controller = new AbortController();
+      handler = function(req, res) {
+        req.on('close', function() {
+          res.end();
+        });
+        controller.abort();
+      };
+      transport = new CleanSpeak.HttpTransport();
+
+      transport.send({method: 'GET', uri: host + '/slow', headers: {}, signal: controller.signal}, function(err) {
+        expect(err.code).to.equal('ABORT_ERR');
+
+        done();
+      });
+    });
+  });
+});
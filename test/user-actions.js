@@ -0,0 +1,178 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('user actions', function() {
+  var userId = '3f2a1b0c-9d8e-4f7a-8b6c-5d4e3f2a1b0c';
+  var cleanSpeak, mockRequest, clock, now;
+
+  beforeEach(function() {
+    now = new Date('2015-01-01T00:00:00Z').valueOf();
+    clock = sinon.useFakeTimers(now, 'Date');
+    cleanSpeak = new CleanSpeak({
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123'
+    });
+  });
+  afterEach(function() {
+    clock.restore();
+    nock.cleanAll();
+  });
+
+  describe('actionUser', function() {
+    it('sends the action with its expiry', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/user/action/' + userId, JSON.stringify({
+          userAction: {
+            action: 'ban',
+            applicationIds: ['app-1'],
+            reason: 'spam',
+            comment: 'Third strike',
+            moderatorId: 'mod-1',
+            createInstant: now,
+            expiry: now + 86400000
+          }
+        }))
+        .reply(200, {userAction: {id: 'action-1', action: 'ban', expiry: now + 86400000}});
+
+      return cleanSpeak.banUser(userId, {
+        applicationIds: ['app-1'],
+        reason: 'spam',
+        comment: 'Third strike',
+        moderatorId: 'mod-1',
+        duration: 86400000
+      }).then(function(action) {
+        expect(action.id).to.equal('action-1');
+        expect(action.userId).to.equal(userId);
+        expect(action.expiry).to.eql(new Date(now + 86400000));
+
+        mockRequest.done();
+      });
+    });
+
+    it('accepts an expiry date', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/user/action/' + userId, JSON.stringify({
+          userAction: {action: 'mute', createInstant: now, expiry: now + 1000}
+        }))
+        .reply(200, {userAction: {id: 'action-1'}});
+
+      return cleanSpeak.muteUser(userId, {expiry: new Date(now + 1000)}).then(function() {
+        mockRequest.done();
+      });
+    });
+
+    it('does not send an expiry for warnings', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/user/action/' + userId, JSON.stringify({
+          userAction: {action: 'warn', createInstant: now}
+        }))
+        .reply(200, {userAction: {id: 'action-1'}});
+
+      return cleanSpeak.warnUser(userId, {duration: 1000}).then(function() {
+        mockRequest.done();
+      });
+    });
+
+    it('rejects a missing or invalid userId without sending anything', function() {
+      return Promise.all([
+        cleanSpeak.actionUser(undefined, 'ban').catch(function(err) {
+          return err;
+        }),
+        cleanSpeak.unbanUser('user-1').catch(function(err) {
+          return err;
+        }),
+        cleanSpeak.getUserStatus('user-1').catch(function(err) {
+          return err;
+        })
+      ]).then(function(errs) {
+        expect(errs[0]).to.be.an.instanceof(CleanSpeak.ValidationError);
+        expect(errs[0].fieldErrors.userId[0].code).to.equal('[missing]userId');
+        expect(errs[1].fieldErrors.userId[0].code).to.equal('[invalid]userId');
+        expect(errs[2].fieldErrors.userId[0].code).to.equal('[invalid]userId');
+      });
+    });
+
+    it('rejects unknown actions', function() {
+      return cleanSpeak.actionUser(userId, 'smite').then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.ValidationError);
+        expect(err.fieldErrors.action[0].code).to.equal('[invalid]action');
+      });
+    });
+
+    it('does nothing when enabled is false', function(done) {
+      cleanSpeak.enabled = false;
+      cleanSpeak.banUser(userId, function(err, result) {
+        expect(err).to.not.exist;
+        expect(result).to.not.exist;
+
+        done();
+      });
+    });
+  });
+
+  describe('removeUserAction', function() {
+    it('removes a ban', function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .delete('/content/user/action/' + userId, JSON.stringify({
+          userAction: {action: 'ban', reason: 'appeal', moderatorId: 'mod-1'}
+        }))
+        .reply(200);
+
+      return cleanSpeak.unbanUser(userId, {reason: 'appeal', moderatorId: 'mod-1'}).then(function() {
+        mockRequest.done();
+      });
+    });
+
+    it('rejects warnings', function() {
+      return cleanSpeak.removeUserAction(userId, 'warn').then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(CleanSpeak.ValidationError);
+      });
+    });
+  });
+
+  describe('history and status', function() {
+    beforeEach(function() {
+      mockRequest = nock('http://cleanspeak.example.com:8001')
+        .get('/content/user/action/' + userId + '?applicationIds=app-1')
+        .reply(200, {userActions: [
+          {id: 'action-1', action: 'warn', createInstant: now - 3000},
+          {id: 'action-2', action: 'ban', createInstant: now - 2000, expiry: now - 1000},
+          {id: 'action-3', action: 'mute', createInstant: now - 1000, expiry: now + 1000},
+          {id: 'action-4', action: 'ban', createInstant: now - 500, endInstant: now - 100}
+        ]});
+    });
+
+    it('returns the history, newest first', function() {
+      return cleanSpeak.getUserActions(userId, {applicationIds: ['app-1']}).then(function(actions) {
+        expect(actions.map(function(action) {
+          return action.id;
+        })).to.eql(['action-4', 'action-3', 'action-2', 'action-1']);
+        expect(actions[0].endInstant).to.eql(new Date(now - 100));
+
+        mockRequest.done();
+      });
+    });
+
+    it('only counts actions in effect', function() {
+      return cleanSpeak.getUserStatus(userId, {applicationIds: ['app-1']}).then(function(status) {
+        expect(status.banned).to.be.false;
+        expect(status.muted).to.be.true;
+        expect(status.activeActions.length).to.equal(1);
+
+        mockRequest.done();
+      });
+    });
+  });
+});
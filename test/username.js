@@ -0,0 +1,231 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('validateUsername', function() {
+  var cleanSpeak, requests;
+
+  beforeEach(function() {
+    cleanSpeak = new CleanSpeak({
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123'
+    });
+    requests = [];
+  });
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  // Answers filter requests like a blacklist with 'darn' (mild) and an email address filter, matching whole words.
+  var replyLikeCleanSpeak = function() {
+    nock('http://cleanspeak.example.com:8001')
+      .post('/content/item/filter')
+      .times(50)
+      .reply(200, function(uri, body) {
+        body = JSON.parse(body);
+        requests.push(body);
+
+        var matches = [];
+        var darn = /\bdarn\b/i.exec(body.content);
+        if (darn) {
+          matches.push({matched: darn[0], root: 'darn', severity: 'mild', start: darn.index, length: 4,
+            type: 'blacklist'});
+        }
+        var email = /\S+@\S+\.\S+/.exec(body.content);
+        if (email) {
+          matches.push({matched: email[0], start: email.index, length: email[0].length, type: 'email'});
+        }
+        return {replacement: body.content, matches: matches};
+      });
+  };
+
+  it('allows a clean name', function() {
+    replyLikeCleanSpeak();
+
+    return cleanSpeak.validateUsername('NiceGuy_99').then(function(result) {
+      expect(result).to.eql({allowed: true, name: 'NiceGuy_99', reasons: [], suggestions: []});
+    });
+  });
+
+  it('sends the name with email, phone number and URL matching on', function() {
+    replyLikeCleanSpeak();
+
+    return cleanSpeak.validateUsername('NiceGuy').then(function() {
+      expect(requests[0]).to.eql({
+        content: 'NiceGuy',
+        filter: {
+          blacklist: {enabled: true, severity: 'mild'},
+          emails: {enabled: true},
+          phoneNumbers: {enabled: true},
+          urls: {enabled: true}
+        }
+      });
+      expect(requests.map(function(request) {
+        return request.content;
+      })).to.eql(['NiceGuy', 'Nice Guy', 'nice guy']);
+    });
+  });
+
+  it('catches words run together or spelled with leetspeak', function() {
+    replyLikeCleanSpeak();
+
+    return cleanSpeak.validateUsername('BigD4rnGuy').then(function(result) {
+      expect(result.allowed).to.be.false;
+      expect(result.reasons).to.eql([{code: '[inappropriate]', message: 'Contains darn', matched: 'darn'}]);
+    });
+  });
+
+  it('ignores matches below the policy severity', function() {
+    replyLikeCleanSpeak();
+
+    return cleanSpeak.validateUsername('darn_it', {severity: 'high'}).then(function(result) {
+      expect(result.allowed).to.be.true;
+      expect(requests[0].filter.blacklist.severity).to.equal('high');
+    });
+  });
+
+  it('denies contact details', function() {
+    replyLikeCleanSpeak();
+
+    return cleanSpeak.validateUsername('bob@example.com', {maxLength: 30, charset: /[\w@.]/}).then(function(result) {
+      expect(result.allowed).to.be.false;
+      expect(result.reasons).to.eql([
+        {code: '[contactInfo]', message: 'Contains bob@example.com', matched: 'bob@example.com'}
+      ]);
+    });
+  });
+
+  it('checks length and characters', function() {
+    replyLikeCleanSpeak();
+
+    return Promise.all([
+      cleanSpeak.validateUsername('ab'),
+      cleanSpeak.validateUsername('abcdefghijklmnopqrstu'),
+      cleanSpeak.validateUsername('hi there!')
+    ]).then(function(results) {
+      expect(results[0].reasons).to.eql([{code: '[tooShort]', message: 'Must be at least 3 characters'}]);
+      expect(results[1].reasons).to.eql([{code: '[tooLong]', message: 'Must be at most 20 characters'}]);
+      expect(results[2].reasons).to.eql([
+        {code: '[invalidCharacters]', message: 'Must not contain \' \', \'!\'', matched: ' !'}
+      ]);
+    });
+  });
+
+  it('accepts a wider charset for display names', function() {
+    replyLikeCleanSpeak();
+
+    return cleanSpeak.validateUsername('Hi There', {charset: /[\w ]/}).then(function(result) {
+      expect(result.allowed).to.be.true;
+    });
+  });
+
+  it('denies lookalike letters from other scripts and imitations of reserved names', function() {
+    replyLikeCleanSpeak();
+    var policy = {reserved: ['admin', 'moderator']};
+
+    return Promise.all([
+      // The first letter is a Cyrillic а.
+      cleanSpeak.validateUsername('аdmin', policy),
+      cleanSpeak.validateUsername('M0d_erat0r', policy),
+      cleanSpeak.validateUsername('pаypal')
+    ]).then(function(results) {
+      expect(results[0].reasons.map(function(reason) {
+        return reason.code;
+      })).to.eql(['[invalidCharacters]', '[mixedScripts]', '[reserved]']);
+      expect(results[1].reasons).to.eql([
+        {code: '[reserved]', message: 'Looks like the reserved name moderator', matched: 'moderator'}
+      ]);
+      expect(results[2].reasons).to.eql([
+        {code: '[invalidCharacters]', message: 'Must not contain \'а\'', matched: 'а'},
+        {code: '[mixedScripts]', message: 'Must not mix Latin and Cyrillic letters'}
+      ]);
+    });
+  });
+
+  it('denies local words anywhere in the name', function() {
+    replyLikeCleanSpeak();
+
+    return cleanSpeak.validateUsername('xxheckxx', {words: ['heck']}).then(function(result) {
+      expect(result.reasons).to.eql([{code: '[inappropriate]', message: 'Contains heck', matched: 'heck'}]);
+    });
+  });
+
+  it('allows names that only contain a local word with its doubled letters collapsed', function() {
+    replyLikeCleanSpeak();
+
+    return Promise.all([
+      cleanSpeak.validateUsername('Jason', {words: ['ass']}),
+      cleanSpeak.validateUsername('Bobby99', {words: ['boob']}),
+      cleanSpeak.validateUsername('PopStar', {words: ['poop'], reserved: ['poopstar']}),
+      cleanSpeak.validateUsername('xX_a55_Xx', {words: ['ass']})
+    ]).then(function(results) {
+      expect(results[0].allowed).to.be.true;
+      expect(results[1].allowed).to.be.true;
+      expect(results[2].allowed).to.be.true;
+      expect(results[3].reasons).to.eql([{code: '[inappropriate]', message: 'Contains ass', matched: 'ass'}]);
+    });
+  });
+
+  it('suggests alternatives that pass', function() {
+    replyLikeCleanSpeak();
+
+    return cleanSpeak.validateUsername('BigD4rnGuy', {suggestions: 2}).then(function(result) {
+      expect(result.allowed).to.be.false;
+      expect(result.suggestions).to.eql(['BigGuy', 'BigGuy1']);
+    });
+  });
+
+  it('suggests a generic name when nothing is left of the original', function() {
+    replyLikeCleanSpeak();
+
+    return cleanSpeak.validateUsername('Adm1n', {reserved: ['admin'], suggestions: 1}).then(function(result) {
+      expect(result.suggestions).to.eql(['player']);
+    });
+  });
+
+  it('applies only the local checks while disabled', function() {
+    cleanSpeak = new CleanSpeak({enabled: false});
+
+    return Promise.all([
+      cleanSpeak.validateUsername('BigDarnGuy'),
+      cleanSpeak.validateUsername('x')
+    ]).then(function(results) {
+      expect(results[0].allowed).to.be.true;
+      expect(results[1].reasons[0].code).to.equal('[tooShort]');
+    });
+  });
+
+  it('uses the local filter while disabled', function() {
+    cleanSpeak = new CleanSpeak({enabled: false, localFilter: {words: ['darn']}});
+
+    return cleanSpeak.validateUsername('BigDarnGuy').then(function(result) {
+      expect(result.reasons[0]).to.eql({code: '[inappropriate]', message: 'Contains Darn', matched: 'Darn'});
+    });
+  });
+
+  it('passes filter errors on', function() {
+    nock('http://cleanspeak.example.com:8001')
+      .post('/content/item/filter')
+      .times(3)
+      .reply(401);
+
+    return cleanSpeak.validateUsername('NiceGuy').then(function() {
+      throw new Error('Expected an error');
+    }, function(err) {
+      expect(err).to.be.an.instanceOf(CleanSpeak.AuthenticationError);
+    });
+  });
+
+  it('rejects a name that is not a string', function(done) {
+    cleanSpeak.validateUsername(null, function(err) {
+      expect(err).to.be.an.instanceOf(CleanSpeak.ValidationError);
+      done();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+
+var uuid = require('uuid');
+var nock = require('nock');
+nock.disableNetConnect();
+
+var CleanSpeak = require('../index');
+
+describe('validation', function() {
+  var cleanSpeak;
+
+  beforeEach(function() {
+    cleanSpeak = new CleanSpeak({
+      host: 'http://cleanspeak.example.com:8001',
+      authToken: 'abc123',
+      notificationHost: 'http://api.example.com'
+    });
+  });
+
+  // Any request would fail with nock's net connect error, so a ValidationError means nothing was sent.
+  function rejection(promise) {
+    return promise.then(function() {
+      throw new Error('expected a rejection');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(CleanSpeak.ValidationError);
+      return err;
+    });
+  }
+
+  describe('moderate', function() {
+    it('lists every problem', function() {
+      var content = [
+        {name: 'title', content: 'Hello', type: 'text'},
+        {name: 'title', content: 'Again', type: 'txt'},
+        {content: 42, type: 'image'}
+      ];
+
+      return rejection(cleanSpeak.moderate(content, {senderId: 'bob'})).then(function(err) {
+        expect(err.fieldErrors).to.eql({
+          'content[1].type': [{
+            code: '[invalid]content[1].type',
+            message: 'content[1].type must be one of text, attribute, hyperlink, image, video, audio'
+          }],
+          'content[2].name': [{code: '[missing]content[2].name', message: 'content[2].name is required'}],
+          'content[2].content': [{code: '[invalid]content[2].content', message: 'content[2].content must be a string'}],
+          'content[1].name': [{
+            code: '[duplicate]content[1].name',
+            message: 'content[1].name "title" is already used by content[0]'
+          }],
+          contentId: [{code: '[missing]contentId', message: 'contentId is required'}],
+          senderId: [{code: '[invalid]senderId', message: 'senderId must be a UUID'}]
+        });
+        expect(err.message).to.match(/^Invalid request: /);
+      });
+    });
+
+    it('requires at least one part', function() {
+      return rejection(cleanSpeak.moderate([], {contentId: uuid()})).then(function(err) {
+        expect(err.fieldErrors.content[0].code).to.equal('[blank]content');
+      });
+    });
+
+    it('does not queue invalid content', function() {
+      var queue = new CleanSpeak.MemoryQueue();
+      cleanSpeak.queue = queue;
+
+      return rejection(cleanSpeak.moderate([{name: 'a', content: 'b', type: 'text'}])).then(function() {
+        expect(queue.jobs).to.be.empty;
+      });
+    });
+  });
+
+  describe('flagContent', function() {
+    it('requires UUIDs', function() {
+      return rejection(cleanSpeak.flagContent('content', null)).then(function(err) {
+        expect(Object.keys(err.fieldErrors)).to.eql(['contentId', 'reporterId']);
+      });
+    });
+  });
+
+  describe('addUser', function() {
+    it('checks the birth date and email', function() {
+      return rejection(cleanSpeak.addUser(uuid(), {birthDate: '2001-02-30', email: 'bob'})).then(function(err) {
+        expect(err.fieldErrors.birthDate[0].message).to.equal('birthDate must be a date in YYYY-MM-DD format');
+        expect(err.fieldErrors.email[0].message).to.equal('email must be an email address');
+      });
+    });
+
+    it('checks application IDs', function() {
+      return rejection(cleanSpeak.addUser(uuid(), {applicationIds: [uuid(), 'app']})).then(function(err) {
+        expect(Object.keys(err.fieldErrors)).to.eql(['applicationIds[1]']);
+      });
+    });
+
+    it('accepts valid users', function() {
+      var userId = uuid();
+      var mockRequest = nock('http://cleanspeak.example.com:8001')
+        .post('/content/user/' + userId)
+        .reply(200, {});
+
+      return cleanSpeak.addUser(userId, {birthDate: '2000-02-29', email: 'bob@example.com'}).then(function() {
+        mockRequest.done();
+      });
+    });
+  });
+
+  describe('createApplication', function() {
+    it('checks the name and options', function() {
+      return rejection(cleanSpeak.createApplication('', {id: 'app', persistent: 'yes'})).then(function(err) {
+        expect(Object.keys(err.fieldErrors)).to.eql(['name', 'id', 'persistent']);
+      });
+    });
+  });
+});